@@ -0,0 +1,2301 @@
+// The pixelation core. Everything here works on plain { width, height, data }
+// RGBA buffers with no DOM, so the browser worker and the Node entry point
+// share the same option handling, block math and color reduction.
+
+/**
+ * Validate pixelate() arguments and resolve them into what the core expects
+ * @param {number} [xPixels] - Number of horizontal pixels/blocks, derived from yPixels when missing
+ * @param {number} [yPixels] - Number of vertical pixels/blocks, derived from xPixels when missing
+ * @param {number} width - Width of the source image
+ * @param {number} height - Height of the source image
+ * @param {Object} [options={}] - Pixelation options
+ * @returns {Object} Options with the block counts, palette and output size resolved
+ */
+export function resolvePixelateOptions(
+  xPixels,
+  yPixels,
+  width,
+  height,
+  options = {}
+) {
+  const counts = resolvePixelCounts(
+    xPixels,
+    yPixels,
+    width,
+    height,
+    options.oversize
+  );
+
+  if (options.regions !== undefined) {
+    validateRegions(options.regions);
+  }
+
+  if (
+    options.sampling !== undefined &&
+    !SAMPLING_MODES.includes(options.sampling)
+  ) {
+    throw new Error(`Unsupported sampling mode: ${options.sampling}`);
+  }
+
+  if (
+    options.colorDistance !== undefined &&
+    !["rgb", "ciede2000"].includes(options.colorDistance)
+  ) {
+    throw new Error('Color distance must be "rgb" or "ciede2000"');
+  }
+
+  if (
+    options.colorSpace !== undefined &&
+    !["srgb", "linear"].includes(options.colorSpace)
+  ) {
+    throw new Error('Color space must be "srgb" or "linear"');
+  }
+
+  if (options.dither !== undefined) {
+    if (!DITHER_MODES.includes(options.dither)) {
+      throw new Error(`Unsupported dither mode: ${options.dither}`);
+    }
+    if (options.palette === undefined && !options.grayscale) {
+      throw new Error("Dithering requires a palette or grayscale");
+    }
+  }
+
+  if (options.shape !== undefined && !SHAPES.includes(options.shape)) {
+    throw new Error(`Unsupported shape: ${options.shape}`);
+  }
+  if (
+    options.shape === "hexagon" &&
+    options.sampling !== undefined &&
+    options.sampling !== "mean"
+  ) {
+    throw new Error('Hexagon cells only support "mean" sampling');
+  }
+  if (
+    options.shape === "hexagon" &&
+    (counts.xPixels > width || counts.yPixels > height)
+  ) {
+    throw new Error("Hexagon cells can't be smaller than a pixel");
+  }
+
+  if (
+    options.onProgress !== undefined &&
+    typeof options.onProgress !== "function"
+  ) {
+    throw new Error("onProgress must be a function");
+  }
+
+  if (options.mask !== undefined) {
+    validateMask(options, width, height);
+  }
+
+  const filters = resolveFilters(options.filters);
+
+  const quantization =
+    options.palette !== undefined
+      ? resolvePalette(options.palette, options.paletteSize)
+      : { palette: null, paletteSize: null };
+
+  const alpha = resolveAlpha(options);
+  const shapeBackground =
+    options.shapeBackground !== undefined
+      ? parseColor(options.shapeBackground, "shape background color")
+      : null;
+  const cells = resolveCellDecorations(options);
+  const output = resolveOutputSize(
+    options,
+    counts.xPixels,
+    counts.yPixels,
+    width,
+    height
+  );
+
+  return {
+    ...options,
+    ...counts,
+    ...quantization,
+    ...alpha,
+    ...cells,
+    filters,
+    shapeBackground,
+    output,
+  };
+}
+
+/**
+ * Convert a block size in source pixels to block counts, rounding to the
+ * nearest whole number of blocks
+ * @param {number} blockWidth - Width of each block
+ * @param {number} [blockHeight=blockWidth] - Height of each block, square blocks by default
+ * @param {number} width - Width of the source image
+ * @param {number} height - Height of the source image
+ * @returns {{ xPixels: number, yPixels: number }} Block counts
+ */
+export function blockSizeToPixels(blockWidth, blockHeight, width, height) {
+  blockHeight = blockHeight ?? blockWidth;
+
+  for (const size of [blockWidth, blockHeight]) {
+    if (!Number.isFinite(size) || size <= 0) {
+      throw new Error("Block sizes must be positive numbers");
+    }
+  }
+
+  return {
+    xPixels: Math.max(1, Math.round(width / blockWidth)),
+    yPixels: Math.max(1, Math.round(height / blockHeight)),
+  };
+}
+
+/**
+ * Pixelate an RGBA buffer into block grids, one per region (or one for the
+ * whole image)
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} source - Source pixels
+ * @param {number} xPixels - Number of horizontal pixels/blocks
+ * @param {number} yPixels - Number of vertical pixels/blocks
+ * @param {Object} [options={}] - Options from resolvePixelateOptions()
+ * @returns {Array<Object>} Block grids ({ x, y, width, height, xPixels, yPixels, colors, rects })
+ */
+export function pixelateImageData(source, xPixels, yPixels, options = {}) {
+  const grayscale = options.grayscale || false;
+  const linear = options.colorSpace === "linear";
+
+  // `grayscale: true` is shorthand for a grayscale filter at the very end
+  const filters = options.filters || [];
+  const before = filters.filter((filter) => filter.stage === "before");
+  const after = filters.filter((filter) => filter.stage !== "before");
+  if (grayscale) {
+    after.push({ type: "grayscale", stage: "after", amount: 1 });
+  }
+
+  if (before.length > 0) {
+    source = { ...source, data: new Uint8ClampedArray(source.data) };
+    applyFilters(source.data, before, linear);
+  }
+
+  const regions = options.regions
+    ? resolveRegions(
+        options.regions,
+        source.width,
+        source.height,
+        xPixels,
+        yPixels,
+        options.oversize === "upsample"
+      )
+    : [
+        {
+          x: 0,
+          y: 0,
+          width: source.width,
+          height: source.height,
+          xPixels,
+          yPixels,
+        },
+      ];
+
+  const rects = regions.map(blockRects);
+  const onRow = createProgress(
+    options.onProgress,
+    regions.reduce((rows, region) => rows + region.yPixels, 0)
+  );
+  const blocks = rects.map((regionRects, i) =>
+    sampleBlocks(source, regions[i], regionRects, after, options, onRow)
+  );
+
+  let palette = options.palette;
+  if (options.paletteSize) {
+    palette = medianCutPalette(blocks, options.paletteSize);
+  }
+  if (!palette && options.dither && grayscale) {
+    // Dithered grayscale without a palette is 1-bit black and white
+    palette = [
+      [0, 0, 0],
+      [255, 255, 255],
+    ];
+  }
+  if (palette) {
+    const distance =
+      options.colorDistance === "ciede2000" ? ciede2000Distance : rgbDistance;
+    const nearest = createNearestColor(palette, distance);
+    regions.forEach((region, i) => {
+      quantizeBlocks(
+        blocks[i],
+        region.xPixels,
+        palette,
+        nearest,
+        options.dither
+      );
+    });
+  }
+
+  return regions.map((region, i) => ({
+    x: region.x,
+    y: region.y,
+    width: region.width,
+    height: region.height,
+    xPixels: region.xPixels,
+    yPixels: region.yPixels,
+    colors: blocks[i],
+    rects: rects[i],
+  }));
+}
+
+/**
+ * Draw block grids at output size, the way the browser scales the tiny
+ * bitmaps onto the canvas with smoothing disabled (or draws the shape layer)
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} source - Source pixels, drawn underneath when pixelating regions
+ * @param {Array<Object>} grids - Block grids from pixelateImageData()
+ * @param {Object} options - Options from resolvePixelateOptions()
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }} Rendered pixels
+ */
+export function renderBlocks(source, grids, options) {
+  const { output } = options;
+  const target = {
+    width: output.width,
+    height: output.height,
+    data: new Uint8ClampedArray(output.width * output.height * 4),
+  };
+
+  const scaleX = output.drawWidth / source.width;
+  const scaleY = output.drawHeight / source.height;
+
+  if (options.regions) {
+    drawNearest(
+      target,
+      source,
+      output.x,
+      output.y,
+      output.drawWidth,
+      output.drawHeight
+    );
+    // Regions replace what's under them rather than blending onto it, so no
+    // detail shows through where the source is semi-transparent
+    for (const grid of grids) {
+      clearArea(
+        target,
+        output.x + grid.x * scaleX,
+        output.y + grid.y * scaleY,
+        grid.width * scaleX,
+        grid.height * scaleY
+      );
+    }
+  }
+
+  if (usesLayer(options)) {
+    const layer = renderLayer(grids, options, source.width, source.height);
+    drawNearest(
+      target,
+      layer,
+      output.x,
+      output.y,
+      output.drawWidth,
+      output.drawHeight
+    );
+  } else {
+    for (const grid of grids) {
+      drawNearest(
+        target,
+        { width: grid.xPixels, height: grid.yPixels, data: grid.colors },
+        output.x + grid.x * scaleX,
+        output.y + grid.y * scaleY,
+        grid.width * scaleX,
+        grid.height * scaleY
+      );
+    }
+  }
+
+  if (options.mask) {
+    blendMask(
+      target,
+      source,
+      maskWeights(options.mask, source.width, source.height, options),
+      output
+    );
+  }
+
+  return target;
+}
+
+/**
+ * Turn a mask into per-pixel weights from 0 (keep the original) to 1 (fully
+ * pixelated), with invertMask and feather applied
+ * @param {Object|ArrayLike<number>} mask - RGBA pixels ({ width, height, data }) weighted by luminance and alpha, or one alpha value (0 to 255) per pixel
+ * @param {number} width - Width of the source image
+ * @param {number} height - Height of the source image
+ * @param {Object} [options={}] - Options from resolvePixelateOptions()
+ * @returns {Float32Array} One weight per source pixel, row by row
+ */
+export function maskWeights(mask, width, height, options = {}) {
+  const weights = new Float32Array(width * height);
+
+  if (mask.data) {
+    // White (or any opaque light color) pixelates, black or transparent doesn't
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] =
+        (luminance(mask.data, i * 4) / 255) * (mask.data[i * 4 + 3] / 255);
+    }
+  } else {
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] = mask[i] / 255;
+    }
+  }
+
+  if (options.invertMask) {
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] = 1 - weights[i];
+    }
+  }
+
+  if (options.feather > 0) {
+    featherWeights(weights, width, height, options.feather);
+  }
+
+  return weights;
+}
+
+/**
+ * Whether the render needs a full-size layer instead of scaled block bitmaps
+ * @param {Object} options - Options from resolvePixelateOptions()
+ * @returns {boolean} True for shaped cells, grid lines or cell gaps
+ */
+export function usesLayer(options) {
+  return (
+    (!!options.shape && options.shape !== "square") ||
+    !!options.gridLines ||
+    !!options.cellGap
+  );
+}
+
+/**
+ * Draw block grids with their shapes, cell gaps and grid lines on a
+ * transparent layer the size of the drawn image (output.drawWidth by
+ * output.drawHeight)
+ * @param {Array<Object>} grids - Block grids from pixelateImageData()
+ * @param {Object} options - Options from resolvePixelateOptions()
+ * @param {number} width - Width of the source image
+ * @param {number} height - Height of the source image
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }} Rendered layer
+ */
+export function renderLayer(grids, options, width, height) {
+  const { output } = options;
+  const layer = {
+    width: output.drawWidth,
+    height: output.drawHeight,
+    data: new Uint8ClampedArray(output.drawWidth * output.drawHeight * 4),
+  };
+  const scaleX = output.drawWidth / width;
+  const scaleY = output.drawHeight / height;
+
+  for (const grid of grids) {
+    // Where the grid lands on the layer, and the range of pixels it covers
+    const area = {
+      x: grid.x * scaleX,
+      y: grid.y * scaleY,
+      width: grid.width * scaleX,
+      height: grid.height * scaleY,
+    };
+    area.x0 = Math.round(area.x);
+    area.y0 = Math.round(area.y);
+    area.x1 = Math.min(layer.width, Math.round(area.x + area.width));
+    area.y1 = Math.min(layer.height, Math.round(area.y + area.height));
+
+    if (!options.shape || options.shape === "square") {
+      drawNearest(
+        layer,
+        { width: grid.xPixels, height: grid.yPixels, data: grid.colors },
+        area.x,
+        area.y,
+        area.width,
+        area.height
+      );
+    } else {
+      drawShapes(layer, grid, area, options);
+    }
+
+    if (options.cellGap) {
+      drawCellGaps(layer, grid, area, options.cellGap);
+    }
+    if (options.gridLines) {
+      drawGridLines(layer, grid, area, options.gridLines);
+    }
+  }
+
+  return layer;
+}
+
+// Draws a grid as hexagons, circles or halftone dots.
+function drawShapes(layer, grid, area, options) {
+  const { shape, shapeBackground } = options;
+  const { xPixels, yPixels, colors } = grid;
+  const cellWidth = area.width / xPixels;
+  const cellHeight = area.height / yPixels;
+  const maxRadius = Math.min(cellWidth, cellHeight) / 2;
+
+  for (let py = area.y0; py < area.y1; py++) {
+    const v = ((py + 0.5 - area.y) * yPixels) / area.height;
+    for (let px = area.x0; px < area.x1; px++) {
+      const u = ((px + 0.5 - area.x) * xPixels) / area.width;
+      const t = (py * layer.width + px) * 4;
+
+      if (shapeBackground) {
+        blendPixel(layer.data, t, ...shapeBackground, 255);
+      }
+
+      if (shape === "hexagon") {
+        const c = nearestHex(u, v, xPixels, yPixels) * 4;
+        blendPixel(
+          layer.data,
+          t,
+          colors[c],
+          colors[c + 1],
+          colors[c + 2],
+          colors[c + 3]
+        );
+        continue;
+      }
+
+      const bx = Math.min(xPixels - 1, Math.max(0, Math.floor(u - 1e-9)));
+      const by = Math.min(yPixels - 1, Math.max(0, Math.floor(v - 1e-9)));
+      const c = (by * xPixels + bx) * 4;
+      const dx = (u - bx - 0.5) * cellWidth;
+      const dy = (v - by - 0.5) * cellHeight;
+
+      // Halftone dots grow with darkness and cover the whole cell at
+      // black, where the radius reaches the cell's half diagonal
+      const radius =
+        shape === "halftone"
+          ? maxRadius *
+            Math.SQRT2 *
+            Math.sqrt(
+              1 -
+                (0.299 * colors[c] +
+                  0.587 * colors[c + 1] +
+                  0.114 * colors[c + 2]) /
+                  255
+            )
+          : maxRadius;
+
+      // Antialias the edge by how much of the pixel the circle covers
+      const coverage = Math.min(
+        1,
+        Math.max(0, radius - Math.hypot(dx, dy) + 0.5)
+      );
+      if (coverage > 0) {
+        blendPixel(
+          layer.data,
+          t,
+          colors[c],
+          colors[c + 1],
+          colors[c + 2],
+          Math.round(colors[c + 3] * coverage)
+        );
+      }
+    }
+  }
+}
+
+// Shrinks every cell by half the gap on each side, rounding its corners, and
+// fills the gaps with the gap color (or leaves them transparent).
+function drawCellGaps(layer, grid, area, gap) {
+  const { xPixels, yPixels } = grid;
+  const cellWidth = area.width / xPixels;
+  const cellHeight = area.height / yPixels;
+  const halfWidth = Math.max(0, cellWidth - gap.width) / 2;
+  const halfHeight = Math.max(0, cellHeight - gap.width) / 2;
+  const radius = Math.min(gap.radius, halfWidth, halfHeight);
+  const [r, g, b] = gap.color || [0, 0, 0];
+  const gapAlpha = gap.color ? Math.round(gap.opacity * 255) : 0;
+
+  for (let py = area.y0; py < area.y1; py++) {
+    const v = ((py + 0.5 - area.y) * yPixels) / area.height;
+    const by = Math.min(yPixels - 1, Math.max(0, Math.floor(v)));
+    const dy = Math.abs((v - by - 0.5) * cellHeight);
+
+    for (let px = area.x0; px < area.x1; px++) {
+      const u = ((px + 0.5 - area.x) * xPixels) / area.width;
+      const bx = Math.min(xPixels - 1, Math.max(0, Math.floor(u)));
+      const dx = Math.abs((u - bx - 0.5) * cellWidth);
+
+      // Signed distance from the pixel center to the rounded cell's edge
+      const qx = dx - (halfWidth - radius);
+      const qy = dy - (halfHeight - radius);
+      const distance =
+        Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) +
+        Math.min(Math.max(qx, qy), 0) -
+        radius;
+      const coverage = Math.min(1, Math.max(0, 0.5 - distance));
+      if (coverage === 1) continue;
+
+      // Put the gap underneath, then the covered part of the cell back on top
+      const t = (py * layer.width + px) * 4;
+      const cell = layer.data.slice(t, t + 4);
+      layer.data.set([r, g, b, gapAlpha], t);
+      blendPixel(
+        layer.data,
+        t,
+        cell[0],
+        cell[1],
+        cell[2],
+        Math.round(cell[3] * coverage)
+      );
+    }
+  }
+}
+
+// Draws lines of the given width on the edges between cells, snapped to
+// whole pixels so they stay crisp.
+function drawGridLines(layer, grid, area, lines) {
+  const { xPixels, yPixels } = grid;
+  const cellWidth = area.width / xPixels;
+  const cellHeight = area.height / yPixels;
+  const lineWidth = Math.max(1, Math.round(lines.width));
+  const [r, g, b] = lines.color;
+  const alpha = Math.round(lines.opacity * 255);
+
+  const onLine = (p, start, cellSize, count) => {
+    const edge = Math.round((p + 0.5 - start) / cellSize);
+    if (edge <= 0 || edge >= count) return false;
+    const first = Math.round(start + edge * cellSize - lineWidth / 2);
+    return p >= first && p < first + lineWidth;
+  };
+
+  for (let py = area.y0; py < area.y1; py++) {
+    const rowOnLine = onLine(py, area.y, cellHeight, yPixels);
+    for (let px = area.x0; px < area.x1; px++) {
+      if (rowOnLine || onLine(px, area.x, cellWidth, xPixels)) {
+        blendPixel(layer.data, (py * layer.width + px) * 4, r, g, b, alpha);
+      }
+    }
+  }
+}
+
+/**
+ * Copy block grids so callers can't mutate the instance's copy
+ * @param {{ hasRegions: boolean, grids: Array<Object> }} blocks - Stored block grids
+ * @returns {Object|Array<Object>} The grid, or one grid per region
+ */
+export function copyBlocks(blocks) {
+  const grids = blocks.grids.map((grid) => ({
+    ...grid,
+    colors: grid.colors.slice(),
+    rects: grid.rects.slice(),
+  }));
+  return blocks.hasRegions ? grids : grids[0];
+}
+
+const SVG_MERGE_MODES = ["none", "runs", "regions"];
+
+/**
+ * Draw a block grid as an SVG with one unit per block, stretched to the
+ * image size. Blocks are merged into rectangles or per-color paths to keep
+ * the file small.
+ * @param {Object} grid - Block grid from pixelateImageData()
+ * @param {number} width - Width of the source image
+ * @param {number} height - Height of the source image
+ * @param {Object} [options={}] - SVG options
+ * @param {number} [options.scale=1] - Multiplier for the SVG's width and height
+ * @param {string} [options.merge="runs"] - "none" for a rect per block, "runs" to merge same-colored neighbours into rects, "regions" for one path per color
+ * @param {boolean} [options.crispEdges=true] - Ask renderers not to antialias block edges
+ * @param {boolean} [options.omitTransparent=true] - Leave out fully transparent blocks
+ * @returns {string} SVG markup
+ */
+export function renderSVG(grid, width, height, options = {}) {
+  const {
+    scale = 1,
+    merge = "runs",
+    crispEdges = true,
+    omitTransparent = true,
+  } = options;
+  if (!Number.isFinite(scale) || scale <= 0) {
+    throw new Error("SVG scale must be a positive number");
+  }
+  if (!SVG_MERGE_MODES.includes(merge)) {
+    throw new Error(`Unsupported SVG merge mode: ${merge}`);
+  }
+
+  const { xPixels, yPixels, colors } = grid;
+  const rects = [];
+  const colorAt = (x, y) => {
+    const offset = (y * xPixels + x) * 4;
+    return (
+      ((colors[offset] << 24) |
+        (colors[offset + 1] << 16) |
+        (colors[offset + 2] << 8) |
+        colors[offset + 3]) >>>
+      0
+    );
+  };
+
+  if (merge === "none") {
+    for (let y = 0; y < yPixels; y++) {
+      for (let x = 0; x < xPixels; x++) {
+        rects.push({ x, y, width: 1, height: 1, color: colorAt(x, y) });
+      }
+    }
+  } else {
+    // Runs of one color in a row, grown downwards while the next row has the
+    // exact same run
+    let open = new Map();
+    for (let y = 0; y <= yPixels; y++) {
+      const next = new Map();
+      for (let x = 0; y < yPixels && x < xPixels; ) {
+        const color = colorAt(x, y);
+        let end = x + 1;
+        while (end < xPixels && colorAt(end, y) === color) end++;
+        const key = `${x},${end},${color}`;
+        const rect = open.get(key);
+        if (rect) {
+          rect.height++;
+          open.delete(key);
+          next.set(key, rect);
+        } else {
+          next.set(key, { x, y, width: end - x, height: 1, color });
+        }
+        x = end;
+      }
+      rects.push(...open.values());
+      open = next;
+    }
+  }
+
+  const visible = omitTransparent
+    ? rects.filter(({ color }) => (color & 0xff) !== 0)
+    : rects;
+  const fill = (color) => {
+    const hex = (color >>> 8).toString(16).padStart(6, "0");
+    const alpha = color & 0xff;
+    return alpha === 255
+      ? `fill="#${hex}"`
+      : `fill="#${hex}" fill-opacity="${
+          Math.round((alpha / 255) * 1000) / 1000
+        }"`;
+  };
+
+  let shapes;
+  if (merge === "regions") {
+    const paths = new Map();
+    for (const { x, y, width: w, height: h, color } of visible) {
+      if (!paths.has(color)) paths.set(color, []);
+      paths.get(color).push(`M${x} ${y}h${w}v${h}h${-w}z`);
+    }
+    shapes = [...paths].map(
+      ([color, d]) => `<path d="${d.join("")}" ${fill(color)}/>`
+    );
+  } else {
+    shapes = visible.map(
+      ({ x, y, width: w, height: h, color }) =>
+        `<rect x="${x}" y="${y}" width="${w}" height="${h}" ${fill(color)}/>`
+    );
+  }
+
+  const size = (value) => Math.round(value * scale * 100) / 100;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size(
+      width
+    )}" height="${size(
+      height
+    )}" viewBox="0 0 ${xPixels} ${yPixels}" preserveAspectRatio="none"${
+      crispEdges ? ' shape-rendering="crispEdges"' : ""
+    }>`,
+    ...shapes,
+    "</svg>",
+  ].join("\n");
+}
+
+// How to turn each EXIF orientation upright: rotate clockwise, then mirror
+const EXIF_ORIENTATIONS = {
+  2: { rotate: 0, flipHorizontal: true },
+  3: { rotate: 180, flipHorizontal: false },
+  4: { rotate: 180, flipHorizontal: true },
+  5: { rotate: 90, flipHorizontal: true },
+  6: { rotate: 90, flipHorizontal: false },
+  7: { rotate: 270, flipHorizontal: true },
+  8: { rotate: 270, flipHorizontal: false },
+};
+
+/**
+ * Get the transform that turns an image with the given EXIF orientation
+ * upright
+ * @param {number} orientation - EXIF orientation, 1 to 8
+ * @returns {Object|null} Transform for transformImageData(), or null when the image is already upright
+ */
+export function orientationTransform(orientation) {
+  const steps = EXIF_ORIENTATIONS[orientation];
+  return steps ? { ...steps, flipVertical: false } : null;
+}
+
+/**
+ * Validate the crop, rotate and flip options of fromImage()
+ * @param {Object} options - fromImage() options
+ * @param {number} width - Width of the upright image
+ * @param {number} height - Height of the upright image
+ * @returns {Object|null} Transform for transformImageData(), or null when there is nothing to do
+ */
+export function resolveSourceTransform(options, width, height) {
+  const {
+    crop,
+    rotate = 0,
+    flipHorizontal = false,
+    flipVertical = false,
+  } = options;
+
+  if (!Number.isInteger(rotate) || rotate % 90 !== 0) {
+    throw new Error("Rotation must be a multiple of 90 degrees");
+  }
+  if (crop !== undefined) {
+    if (
+      !crop ||
+      ![crop.x, crop.y, crop.width, crop.height].every(Number.isInteger) ||
+      crop.x < 0 ||
+      crop.y < 0 ||
+      crop.width <= 0 ||
+      crop.height <= 0
+    ) {
+      throw new Error(
+        "Crop must have integer x, y and a positive integer width and height"
+      );
+    }
+    if (crop.x + crop.width > width || crop.y + crop.height > height) {
+      throw new Error("Crop must fit inside the image");
+    }
+  }
+
+  const transform = {
+    crop: crop && {
+      x: crop.x,
+      y: crop.y,
+      width: crop.width,
+      height: crop.height,
+    },
+    rotate: ((rotate % 360) + 360) % 360,
+    flipHorizontal: !!flipHorizontal,
+    flipVertical: !!flipVertical,
+  };
+  const identity =
+    !transform.crop &&
+    transform.rotate === 0 &&
+    !transform.flipHorizontal &&
+    !transform.flipVertical;
+  return identity ? null : transform;
+}
+
+/**
+ * Crop, then rotate clockwise, then flip an RGBA image and any frames it has
+ * @param {{ width: number, height: number, data: Uint8ClampedArray, frames?: Array<Object> }} image - Image to transform
+ * @param {Object} transform - Transform from resolveSourceTransform() or orientationTransform()
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray, frames?: Array<Object> }} Transformed image
+ */
+export function transformImageData(image, transform) {
+  const {
+    crop = { x: 0, y: 0, width: image.width, height: image.height },
+    rotate = 0,
+    flipHorizontal = false,
+    flipVertical = false,
+  } = transform;
+  const turned = rotate === 90 || rotate === 270;
+  const width = turned ? crop.height : crop.width;
+  const height = turned ? crop.width : crop.height;
+
+  // Offset of the source pixel for every output pixel, found by undoing the
+  // flips and then the rotation
+  const offsets = new Uint32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const fy = flipVertical ? height - 1 - y : y;
+    for (let x = 0; x < width; x++) {
+      const fx = flipHorizontal ? width - 1 - x : x;
+      let sx = fx;
+      let sy = fy;
+      if (rotate === 90) {
+        sx = fy;
+        sy = crop.height - 1 - fx;
+      } else if (rotate === 180) {
+        sx = crop.width - 1 - fx;
+        sy = crop.height - 1 - fy;
+      } else if (rotate === 270) {
+        sx = crop.width - 1 - fy;
+        sy = fx;
+      }
+      offsets[y * width + x] = ((crop.y + sy) * image.width + crop.x + sx) * 4;
+    }
+  }
+
+  const transformPixels = (data) => {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < offsets.length; i++) {
+      const offset = offsets[i];
+      pixels[i * 4] = data[offset];
+      pixels[i * 4 + 1] = data[offset + 1];
+      pixels[i * 4 + 2] = data[offset + 2];
+      pixels[i * 4 + 3] = data[offset + 3];
+    }
+    return pixels;
+  };
+
+  const transformed = { width, height, data: transformPixels(image.data) };
+  if (image.frames) {
+    transformed.frames = image.frames.map(({ data, delay }) => ({
+      data: transformPixels(data),
+      delay,
+    }));
+  }
+  return transformed;
+}
+
+// Nearest-neighbour scale `image` into the dx, dy, dw, dh rectangle of
+// `target`, compositing source-over like drawImage does. Pixel centers that
+// land exactly on a block edge go to the earlier block, as they do in browsers.
+function drawNearest(target, image, dx, dy, dw, dh) {
+  const x0 = Math.max(0, Math.round(dx));
+  const y0 = Math.max(0, Math.round(dy));
+  const x1 = Math.min(target.width, Math.round(dx + dw));
+  const y1 = Math.min(target.height, Math.round(dy + dh));
+  const nearest = (p, d, size, extent) =>
+    Math.min(
+      size - 1,
+      Math.max(0, Math.floor(((p + 0.5 - d) * size) / extent - 1e-9))
+    );
+
+  for (let py = y0; py < y1; py++) {
+    const sy = nearest(py, dy, image.height, dh);
+    for (let px = x0; px < x1; px++) {
+      const sx = nearest(px, dx, image.width, dw);
+      const s = (sy * image.width + sx) * 4;
+      blendPixel(
+        target.data,
+        (py * target.width + px) * 4,
+        image.data[s],
+        image.data[s + 1],
+        image.data[s + 2],
+        image.data[s + 3]
+      );
+    }
+  }
+}
+
+// Makes the pixels drawNearest() would cover in the dx, dy, dw, dh rectangle
+// transparent
+function clearArea(target, dx, dy, dw, dh) {
+  const x0 = Math.max(0, Math.round(dx));
+  const y0 = Math.max(0, Math.round(dy));
+  const x1 = Math.min(target.width, Math.round(dx + dw));
+  const y1 = Math.min(target.height, Math.round(dy + dh));
+  for (let y = y0; y < y1; y++) {
+    target.data.fill(
+      0,
+      (y * target.width + x0) * 4,
+      (y * target.width + x1) * 4
+    );
+  }
+}
+
+// Draws one color over the pixel at t with source-over compositing.
+function blendPixel(data, t, r, g, b, alpha) {
+  if (alpha === 255 || data[t + 3] === 0) {
+    data[t] = r;
+    data[t + 1] = g;
+    data[t + 2] = b;
+    data[t + 3] = alpha;
+  } else if (alpha > 0) {
+    const srcA = alpha / 255;
+    const dstA = (data[t + 3] / 255) * (1 - srcA);
+    const outA = srcA + dstA;
+    data[t] = (r * srcA + data[t] * dstA) / outA;
+    data[t + 1] = (g * srcA + data[t + 1] * dstA) / outA;
+    data[t + 2] = (b * srcA + data[t + 2] * dstA) / outA;
+    data[t + 3] = outA * 255;
+  }
+}
+
+// Index of the hexagonal cell containing a point given in grid units (one
+// unit per block). Odd rows are shifted half a cell right, and rows are
+// squashed by sqrt(3)/2 so the nearest-center cells are regular hexagons.
+function nearestHex(u, v, xPixels, yPixels) {
+  const row = Math.floor(v);
+  let nearest = 0;
+  let nearestDistance = Infinity;
+
+  for (
+    let by = Math.max(0, row - 1);
+    by <= Math.min(yPixels - 1, row + 1);
+    by++
+  ) {
+    const shift = by % 2 ? 0.5 : 0;
+    const bx = Math.min(xPixels - 1, Math.max(0, Math.round(u - 0.5 - shift)));
+    const du = u - (bx + 0.5 + shift);
+    const dv = (v - (by + 0.5)) * HEX_ROW_SCALE;
+    const distance = du * du + dv * dv;
+
+    if (distance < nearestDistance) {
+      nearest = by * xPixels + bx;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+function validateMask(options, width, height) {
+  const { mask, feather } = options;
+
+  if (ArrayBuffer.isView(mask) || Array.isArray(mask)) {
+    if (mask.length !== width * height) {
+      throw new Error("Alpha masks need one value per image pixel");
+    }
+  } else {
+    const maskWidth = mask?.naturalWidth || mask?.width;
+    const maskHeight = mask?.naturalHeight || mask?.height;
+    if (maskWidth !== width || maskHeight !== height) {
+      throw new Error("Mask must be the same size as the image");
+    }
+  }
+
+  if (feather !== undefined && (!Number.isFinite(feather) || feather < 0)) {
+    throw new Error("Feather must be a non-negative number");
+  }
+}
+
+// Softens mask edges with two box blurs in each direction, which together
+// ramp from 0 to 1 over about twice the feather radius.
+function featherWeights(weights, width, height, feather) {
+  const radius = Math.max(1, Math.round(feather / 2));
+  const line = new Float32Array(Math.max(width, height));
+
+  for (let pass = 0; pass < 2; pass++) {
+    for (let y = 0; y < height; y++) {
+      boxBlur(weights, y * width, 1, width, radius, line);
+    }
+    for (let x = 0; x < width; x++) {
+      boxBlur(weights, x, width, height, radius, line);
+    }
+  }
+}
+
+// Blurs `length` values starting at `start`, `step` apart, in place with a
+// running sum. Edge values are repeated past the ends.
+function boxBlur(values, start, step, length, radius, line) {
+  for (let i = 0; i < length; i++) {
+    line[i] = values[start + i * step];
+  }
+
+  const at = (i) => line[Math.min(length - 1, Math.max(0, i))];
+  let sum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    sum += at(i);
+  }
+
+  for (let i = 0; i < length; i++) {
+    values[start + i * step] = sum / (radius * 2 + 1);
+    sum += at(i + radius + 1) - at(i - radius);
+  }
+}
+
+// Mixes the original image back into the drawn area of the output wherever
+// the mask weight is below 1, picking source pixels by nearest neighbour.
+function blendMask(target, source, weights, output) {
+  const x0 = Math.max(0, output.x);
+  const y0 = Math.max(0, output.y);
+  const x1 = Math.min(target.width, output.x + output.drawWidth);
+  const y1 = Math.min(target.height, output.y + output.drawHeight);
+
+  for (let py = y0; py < y1; py++) {
+    const sy = Math.min(
+      source.height - 1,
+      Math.floor(((py - output.y + 0.5) * source.height) / output.drawHeight)
+    );
+    for (let px = x0; px < x1; px++) {
+      const sx = Math.min(
+        source.width - 1,
+        Math.floor(((px - output.x + 0.5) * source.width) / output.drawWidth)
+      );
+      const weight = weights[sy * source.width + sx];
+      if (weight >= 1) continue;
+
+      const s = (sy * source.width + sx) * 4;
+      const t = (py * target.width + px) * 4;
+      for (let c = 0; c < 4; c++) {
+        target.data[t + c] =
+          source.data[s + c] +
+          (target.data[t + c] - source.data[s + c]) * weight;
+      }
+    }
+  }
+}
+
+// Normalizes the filters option into { type, stage, ...settings } objects.
+// Filters given as a plain string use their default settings.
+function resolveFilters(filters) {
+  if (filters === undefined) return [];
+  if (!Array.isArray(filters)) {
+    throw new Error("Filters must be an array");
+  }
+
+  return filters.map((filter) => {
+    const spec = typeof filter === "string" ? { type: filter } : filter;
+    if (!spec || !Object.hasOwn(FILTERS, spec.type)) {
+      throw new Error(
+        `Unsupported filter: ${spec?.type ?? JSON.stringify(filter)}`
+      );
+    }
+
+    const { type } = spec;
+    const stage = spec.stage ?? "after";
+    if (stage !== "before" && stage !== "after") {
+      throw new Error('Filter stage must be "before" or "after"');
+    }
+
+    switch (type) {
+      case "hueRotate": {
+        const degrees = spec.degrees ?? 0;
+        if (!Number.isFinite(degrees)) {
+          throw new Error("Hue rotation must be a number of degrees");
+        }
+        return { type, stage, degrees };
+      }
+      case "posterize": {
+        const levels = spec.levels ?? 4;
+        if (!Number.isInteger(levels) || levels < 2 || levels > 256) {
+          throw new Error("Posterize levels must be an integer from 2 to 256");
+        }
+        return { type, stage, levels };
+      }
+      case "threshold": {
+        const level = spec.level ?? 128;
+        if (!Number.isInteger(level) || level < 0 || level > 255) {
+          throw new Error("Threshold level must be an integer from 0 to 255");
+        }
+        return { type, stage, level };
+      }
+      default: {
+        const amount = spec.amount ?? 1;
+        const max = UNIT_FILTERS.includes(type) ? 1 : Infinity;
+        if (!Number.isFinite(amount) || amount < 0 || amount > max) {
+          throw new Error(
+            max === 1
+              ? `The ${type} amount must be a number between 0 and 1`
+              : `The ${type} amount must be a non-negative number`
+          );
+        }
+        return { type, stage, amount };
+      }
+    }
+  });
+}
+
+// Fills in a missing block count from the image's aspect ratio so blocks stay
+// square, then applies the oversize policy to counts larger than the image
+function resolvePixelCounts(xPixels, yPixels, width, height, oversize) {
+  if (oversize !== undefined && !OVERSIZE_POLICIES.includes(oversize)) {
+    throw new Error(`Unsupported oversize policy: ${oversize}`);
+  }
+
+  const hasX = xPixels !== undefined && xPixels !== null;
+  const hasY = yPixels !== undefined && yPixels !== null;
+  if (!hasX && !hasY) {
+    throw new Error("At least one pixel dimension is required");
+  }
+  if (
+    (hasX && (!Number.isInteger(xPixels) || xPixels <= 0)) ||
+    (hasY && (!Number.isInteger(yPixels) || yPixels <= 0))
+  ) {
+    throw new Error("Pixel dimensions must be positive integers");
+  }
+
+  if (!hasX) {
+    xPixels = Math.max(1, Math.round((yPixels * width) / height));
+  }
+  if (!hasY) {
+    yPixels = Math.max(1, Math.round((xPixels * height) / width));
+  }
+
+  if (xPixels > width || yPixels > height) {
+    if (oversize === "clamp") {
+      xPixels = Math.min(xPixels, width);
+      yPixels = Math.min(yPixels, height);
+    } else if (oversize !== "upsample") {
+      throw new Error("Pixel dimensions cannot exceed image dimensions");
+    }
+  }
+
+  return { xPixels, yPixels };
+}
+
+function validateRegions(regions) {
+  if (!Array.isArray(regions)) {
+    throw new Error("Regions must be an array of rectangles");
+  }
+
+  for (const region of regions) {
+    if (
+      !region ||
+      !Number.isFinite(region.x) ||
+      !Number.isFinite(region.y) ||
+      !Number.isFinite(region.width) ||
+      !Number.isFinite(region.height) ||
+      region.width <= 0 ||
+      region.height <= 0
+    ) {
+      throw new Error(
+        "Each region must have a finite x, y and a positive width and height"
+      );
+    }
+
+    for (const key of ["xPixels", "yPixels"]) {
+      if (
+        region[key] !== undefined &&
+        (!Number.isInteger(region[key]) || region[key] <= 0)
+      ) {
+        throw new Error("Region pixel dimensions must be positive integers");
+      }
+    }
+
+    for (const key of ["blockSize", "blockWidth", "blockHeight"]) {
+      if (
+        region[key] !== undefined &&
+        (!Number.isFinite(region[key]) || region[key] <= 0)
+      ) {
+        throw new Error("Region block sizes must be positive numbers");
+      }
+    }
+  }
+}
+
+function webSafePalette() {
+  const steps = [0x00, 0x33, 0x66, 0x99, 0xcc, 0xff];
+  const colors = [];
+  for (const r of steps) {
+    for (const g of steps) {
+      for (const b of steps) {
+        colors.push([r, g, b]);
+      }
+    }
+  }
+  return colors;
+}
+
+const NAMED_PALETTES = {
+  gameboy: ["#0f380f", "#306230", "#8bac0f", "#9bbc0f"],
+  pico8: [
+    "#000000",
+    "#1d2b53",
+    "#7e2553",
+    "#008751",
+    "#ab5236",
+    "#5f574f",
+    "#c2c3c7",
+    "#fff1e8",
+    "#ff004d",
+    "#ffa300",
+    "#ffec27",
+    "#00e436",
+    "#29adff",
+    "#83769c",
+    "#ff77a8",
+    "#ffccaa",
+  ],
+  cga: [
+    "#000000",
+    "#0000aa",
+    "#00aa00",
+    "#00aaaa",
+    "#aa0000",
+    "#aa00aa",
+    "#aa5500",
+    "#aaaaaa",
+    "#555555",
+    "#5555ff",
+    "#55ff55",
+    "#55ffff",
+    "#ff5555",
+    "#ff55ff",
+    "#ffff55",
+    "#ffffff",
+  ],
+  websafe: webSafePalette(),
+};
+
+const SAMPLING_MODES = [
+  "mean",
+  "median",
+  "dominant",
+  "center",
+  "brightest",
+  "darkest",
+];
+
+const DITHER_MODES = [
+  "floyd-steinberg",
+  "atkinson",
+  "bayer2",
+  "bayer4",
+  "bayer8",
+];
+
+const ALPHA_MODES = ["average", "threshold", "flatten"];
+
+const SHAPES = ["square", "hexagon", "circle", "halftone"];
+
+const OVERSIZE_POLICIES = ["error", "clamp", "upsample"];
+
+// Filters whose amount goes from 0 (no effect) to 1 (full effect)
+const UNIT_FILTERS = ["sepia", "invert", "grayscale"];
+
+const HEX_ROW_SCALE = Math.sqrt(3) / 2;
+
+// Minimum time between progress reports, so a big image doesn't flood the
+// main thread with messages
+const PROGRESS_INTERVAL = 50;
+
+function parseColor(color, name = "palette color") {
+  if (Array.isArray(color)) {
+    if (
+      color.length >= 3 &&
+      color.slice(0, 3).every((c) => Number.isInteger(c) && c >= 0 && c <= 255)
+    ) {
+      return color.slice(0, 3);
+    }
+  } else if (typeof color === "string") {
+    let hex = color.trim().replace(/^#/, "");
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+      hex = hex.replace(/./g, "$&$&");
+    }
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      const value = parseInt(hex, 16);
+      return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+    }
+  }
+
+  throw new Error(`Invalid ${name}: ${JSON.stringify(color)}`);
+}
+
+// Fills in the alpha options, with the background as an [r, g, b] color.
+function resolveAlpha(options) {
+  const alphaMode = options.alphaMode ?? "average";
+  if (!ALPHA_MODES.includes(alphaMode)) {
+    throw new Error(`Unsupported alpha mode: ${alphaMode}`);
+  }
+
+  const alphaThreshold = options.alphaThreshold ?? 128;
+  if (
+    !Number.isInteger(alphaThreshold) ||
+    alphaThreshold < 0 ||
+    alphaThreshold > 255
+  ) {
+    throw new Error("Alpha threshold must be an integer from 0 to 255");
+  }
+
+  const background = parseColor(
+    options.background ?? [255, 255, 255],
+    "background color"
+  );
+
+  return { alphaMode, alphaThreshold, background };
+}
+
+// Fills in the gridLines and cellGap options, with colors as [r, g, b]. Both
+// are null when turned off.
+function resolveCellDecorations(options) {
+  const { gridLines, cellGap } = options;
+
+  if ((gridLines || cellGap) && options.shape === "hexagon") {
+    throw new Error("Grid lines and cell gaps don't support hexagon cells");
+  }
+
+  const resolveOpacity = (opacity = 1) => {
+    if (typeof opacity !== "number" || opacity < 0 || opacity > 1) {
+      throw new Error("Opacity must be a number between 0 and 1");
+    }
+    return opacity;
+  };
+  const resolveWidth = (width = 1, name) => {
+    if (typeof width !== "number" || !(width > 0)) {
+      throw new Error(`${name} width must be a positive number`);
+    }
+    return width;
+  };
+
+  let lines = null;
+  if (gridLines) {
+    const settings = gridLines === true ? {} : gridLines;
+    lines = {
+      width: resolveWidth(settings.width, "Grid line"),
+      color: parseColor(settings.color ?? "#000000", "grid line color"),
+      opacity: resolveOpacity(settings.opacity),
+    };
+  }
+
+  let gap = null;
+  if (cellGap) {
+    const settings =
+      cellGap === true
+        ? {}
+        : typeof cellGap === "number"
+        ? { width: cellGap }
+        : cellGap;
+    const radius = settings.radius ?? 0;
+    if (typeof radius !== "number" || !(radius >= 0)) {
+      throw new Error("Cell gap radius must be a non-negative number");
+    }
+    gap = {
+      width: resolveWidth(settings.width, "Cell gap"),
+      color:
+        settings.color !== undefined
+          ? parseColor(settings.color, "cell gap color")
+          : null,
+      opacity: resolveOpacity(settings.opacity),
+      radius,
+    };
+  }
+
+  return { gridLines: lines, cellGap: gap };
+}
+
+// Turns the palette option into what the worker expects: either a list of
+// [r, g, b] colors, or a size for a palette generated from the image itself.
+function resolvePalette(palette, paletteSize = 16) {
+  if (palette === "auto") {
+    if (!Number.isInteger(paletteSize) || paletteSize <= 0) {
+      throw new Error("Palette size must be a positive integer");
+    }
+    return { palette: null, paletteSize };
+  }
+
+  if (typeof palette === "string") {
+    if (!NAMED_PALETTES[palette]) {
+      throw new Error(`Unknown palette: ${palette}`);
+    }
+    return {
+      palette: NAMED_PALETTES[palette].map((color) => parseColor(color)),
+      paletteSize: null,
+    };
+  }
+
+  if (!Array.isArray(palette) || palette.length === 0) {
+    throw new Error(
+      'Palette must be a palette name, "auto" or an array of colors'
+    );
+  }
+  return {
+    palette: palette.map((color) => parseColor(color)),
+    paletteSize: null,
+  };
+}
+
+// Works out the canvas size and where the image lands on it. By default the
+// canvas matches the image; `scale` renders each block as a scale by scale
+// square, and `outputSize` is "natural", "grid" or a box the image is fit into.
+function resolveOutputSize(options, xPixels, yPixels, width, height) {
+  const { scale, outputSize = "natural" } = options;
+
+  if (scale !== undefined) {
+    if (options.outputSize !== undefined) {
+      throw new Error("Use either scale or outputSize, not both");
+    }
+    if (!Number.isInteger(scale) || scale <= 0) {
+      throw new Error("Scale must be a positive integer");
+    }
+    return fillOutput(xPixels * scale, yPixels * scale);
+  }
+
+  if (outputSize === "natural") {
+    return fillOutput(width, height);
+  }
+
+  if (outputSize === "grid") {
+    return fillOutput(xPixels, yPixels);
+  }
+
+  const box = outputSize || {};
+  for (const key of ["width", "height"]) {
+    if (
+      box[key] !== undefined &&
+      (!Number.isInteger(box[key]) || box[key] <= 0)
+    ) {
+      throw new Error("Output width and height must be positive integers");
+    }
+  }
+
+  if (box.width === undefined && box.height === undefined) {
+    throw new Error(
+      'Output size must be "natural", "grid" or an object with width and/or height'
+    );
+  }
+
+  if (box.height === undefined) {
+    return fillOutput(
+      box.width,
+      Math.max(1, Math.round((box.width * height) / width))
+    );
+  }
+
+  if (box.width === undefined) {
+    return fillOutput(
+      Math.max(1, Math.round((box.height * width) / height)),
+      box.height
+    );
+  }
+
+  const fit = Math.min(box.width / width, box.height / height);
+  const drawWidth = Math.max(1, Math.round(width * fit));
+  const drawHeight = Math.max(1, Math.round(height * fit));
+
+  return {
+    width: box.width,
+    height: box.height,
+    x: Math.floor((box.width - drawWidth) / 2),
+    y: Math.floor((box.height - drawHeight) / 2),
+    drawWidth,
+    drawHeight,
+  };
+}
+
+function fillOutput(width, height) {
+  return { width, height, x: 0, y: 0, drawWidth: width, drawHeight: height };
+}
+
+// Clamps each requested rectangle to the image and works out its block grid.
+// A region without its own block settings reuses the block size of the
+// full-image xPixels by yPixels grid, so every region pixelates alike.
+function resolveRegions(
+  regions,
+  imageWidth,
+  imageHeight,
+  xPixels,
+  yPixels,
+  upsample
+) {
+  const resolved = [];
+
+  for (const region of regions) {
+    const x = Math.max(0, Math.floor(region.x));
+    const y = Math.max(0, Math.floor(region.y));
+    const right = Math.min(imageWidth, Math.ceil(region.x + region.width));
+    const bottom = Math.min(imageHeight, Math.ceil(region.y + region.height));
+    const width = right - x;
+    const height = bottom - y;
+
+    if (width <= 0 || height <= 0) continue;
+
+    const blockWidth =
+      region.blockWidth ?? region.blockSize ?? imageWidth / xPixels;
+    const blockHeight =
+      region.blockHeight ?? region.blockSize ?? imageHeight / yPixels;
+    const regionXPixels = region.xPixels ?? Math.round(width / blockWidth);
+    const regionYPixels = region.yPixels ?? Math.round(height / blockHeight);
+
+    resolved.push({
+      x,
+      y,
+      width,
+      height,
+      xPixels: Math.max(
+        1,
+        upsample ? regionXPixels : Math.min(width, regionXPixels)
+      ),
+      yPixels: Math.max(
+        1,
+        upsample ? regionYPixels : Math.min(height, regionYPixels)
+      ),
+    });
+  }
+
+  return resolved;
+}
+
+// Source rectangle of every block in a region, row by row, as x, y, width,
+// height quadruples in image coordinates. Block edges are floored so blocks
+// tile the region exactly even when it doesn't divide evenly. Blocks smaller
+// than a pixel (when upsampling) cover the pixel they start in.
+function blockRects(region) {
+  const { xPixels, yPixels } = region;
+  const rects = new Uint32Array(xPixels * yPixels * 4);
+
+  const blockWidth = region.width / xPixels;
+  const blockHeight = region.height / yPixels;
+
+  for (let by = 0; by < yPixels; by++) {
+    for (let bx = 0; bx < xPixels; bx++) {
+      const x = Math.floor(bx * blockWidth);
+      const y = Math.floor(by * blockHeight);
+      const offset = (by * xPixels + bx) * 4;
+
+      rects[offset] = region.x + x;
+      rects[offset + 1] = region.y + y;
+      rects[offset + 2] =
+        Math.max(x + 1, Math.floor((bx + 1) * blockWidth)) - x;
+      rects[offset + 3] =
+        Math.max(y + 1, Math.floor((by + 1) * blockHeight)) - y;
+    }
+  }
+
+  return rects;
+}
+
+// Reports the fraction of block rows sampled so far, at most once per
+// PROGRESS_INTERVAL ms apart from the final 1.
+function createProgress(onProgress, totalRows) {
+  let rowsDone = 0;
+  let lastReport = -Infinity;
+
+  return () => {
+    rowsDone++;
+    if (!onProgress) return;
+
+    const now = Date.now();
+    if (rowsDone === totalRows || now - lastReport >= PROGRESS_INTERVAL) {
+      lastReport = now;
+      onProgress(rowsDone / totalRows);
+    }
+  };
+}
+
+// Reduces every block to one RGBA entry per block, in the same order as
+// `rects`, using the chosen sampling strategy, then runs the filters meant for
+// block colors.
+function sampleBlocks(source, region, rects, filters, options, onRow) {
+  const { sampling } = options;
+  const linear = options.colorSpace === "linear";
+
+  let colors;
+  if (options.shape === "hexagon") {
+    colors = hexBlocks(source, region, linear, onRow);
+  } else if (!sampling || sampling === "mean") {
+    colors = meanBlocks(source, region, rects, linear, onRow);
+  } else {
+    colors = pickBlocks(source, region, rects, SAMPLERS[sampling], onRow);
+  }
+
+  if (options.alphaMode === "threshold") {
+    thresholdAlpha(colors, options.alphaThreshold);
+  } else if (options.alphaMode === "flatten") {
+    flattenAlpha(colors, options.background, linear);
+  }
+
+  applyFilters(colors, filters, linear);
+
+  return colors;
+}
+
+// Runs filters over RGBA pixels in place, one after another. Alpha is kept.
+function applyFilters(data, filters, linear) {
+  for (const filter of filters) {
+    const apply = FILTERS[filter.type](filter, linear);
+    for (let i = 0; i < data.length; i += 4) {
+      apply(data, i);
+    }
+  }
+}
+
+// Applies a 3x3 matrix to the RGB of a pixel, as CSS filters define them.
+function colorMatrix(m) {
+  return (data, i) => {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = m[0] * r + m[1] * g + m[2] * b;
+    data[i + 1] = m[3] * r + m[4] * g + m[5] * b;
+    data[i + 2] = m[6] * r + m[7] * g + m[8] * b;
+  };
+}
+
+// Each entry takes a resolved filter and returns a function that adjusts the
+// pixel at index i. Matrices follow the CSS Filter Effects spec.
+const FILTERS = {
+  brightness({ amount }) {
+    return (data, i) => {
+      data[i] *= amount;
+      data[i + 1] *= amount;
+      data[i + 2] *= amount;
+    };
+  },
+
+  contrast({ amount }) {
+    const adjust = (value) => (value - 127.5) * amount + 127.5;
+    return (data, i) => {
+      data[i] = adjust(data[i]);
+      data[i + 1] = adjust(data[i + 1]);
+      data[i + 2] = adjust(data[i + 2]);
+    };
+  },
+
+  saturation({ amount: s }) {
+    return colorMatrix([
+      0.213 + 0.787 * s,
+      0.715 - 0.715 * s,
+      0.072 - 0.072 * s,
+      0.213 - 0.213 * s,
+      0.715 + 0.285 * s,
+      0.072 - 0.072 * s,
+      0.213 - 0.213 * s,
+      0.715 - 0.715 * s,
+      0.072 + 0.928 * s,
+    ]);
+  },
+
+  hueRotate({ degrees }) {
+    const cos = Math.cos((degrees * Math.PI) / 180);
+    const sin = Math.sin((degrees * Math.PI) / 180);
+    return colorMatrix([
+      0.213 + cos * 0.787 - sin * 0.213,
+      0.715 - cos * 0.715 - sin * 0.715,
+      0.072 - cos * 0.072 + sin * 0.928,
+      0.213 - cos * 0.213 + sin * 0.143,
+      0.715 + cos * 0.285 + sin * 0.14,
+      0.072 - cos * 0.072 - sin * 0.283,
+      0.213 - cos * 0.213 - sin * 0.787,
+      0.715 - cos * 0.715 + sin * 0.715,
+      0.072 + cos * 0.928 + sin * 0.072,
+    ]);
+  },
+
+  sepia({ amount }) {
+    const rest = 1 - amount;
+    return colorMatrix([
+      0.393 + 0.607 * rest,
+      0.769 - 0.769 * rest,
+      0.189 - 0.189 * rest,
+      0.349 - 0.349 * rest,
+      0.686 + 0.314 * rest,
+      0.168 - 0.168 * rest,
+      0.272 - 0.272 * rest,
+      0.534 - 0.534 * rest,
+      0.131 + 0.869 * rest,
+    ]);
+  },
+
+  invert({ amount }) {
+    return (data, i) => {
+      data[i] += (255 - 2 * data[i]) * amount;
+      data[i + 1] += (255 - 2 * data[i + 1]) * amount;
+      data[i + 2] += (255 - 2 * data[i + 2]) * amount;
+    };
+  },
+
+  posterize({ levels }) {
+    const step = 255 / (levels - 1);
+    return (data, i) => {
+      data[i] = Math.round(data[i] / step) * step;
+      data[i + 1] = Math.round(data[i + 1] / step) * step;
+      data[i + 2] = Math.round(data[i + 2] / step) * step;
+    };
+  },
+
+  threshold({ level }) {
+    return (data, i) => {
+      const value = luminance(data, i) >= level ? 255 : 0;
+      data[i] = data[i + 1] = data[i + 2] = value;
+    };
+  },
+
+  grayscale({ amount }, linear) {
+    return (data, i) => {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+
+      // Linear light gets the BT.709 luminance of sRGB's primaries. The
+      // default keeps the original BT.601 luma weights on gamma-encoded
+      // values so existing output doesn't change.
+      const gray = linear
+        ? linearToSrgb(
+            0.2126 * SRGB_TO_LINEAR[r] +
+              0.7152 * SRGB_TO_LINEAR[g] +
+              0.0722 * SRGB_TO_LINEAR[b]
+          )
+        : Math.floor(0.299 * r + 0.587 * g + 0.114 * b);
+
+      if (amount === 1) {
+        data[i] = data[i + 1] = data[i + 2] = gray;
+      } else {
+        data[i] = r + (gray - r) * amount;
+        data[i + 1] = g + (gray - g) * amount;
+        data[i + 2] = b + (gray - b) * amount;
+      }
+    };
+  },
+};
+
+// Averages every block in a single pass over the region's rows, adding each
+// pixel to its block's running sums instead of copying blocks out one by one.
+// Colors are weighted by alpha (premultiplied) so transparent pixels don't
+// drag a block toward their hidden color. In linear mode color channels are
+// summed as linear light; alpha never is.
+function meanBlocks(source, region, rects, linear, onRow) {
+  const { xPixels, yPixels } = region;
+  const sums = new Float64Array(xPixels * yPixels * 4);
+  const channel = linear ? SRGB_TO_LINEAR : IDENTITY;
+
+  const { data } = source;
+  for (let by = 0; by < yPixels; by++) {
+    const rowStart = by * xPixels * 4;
+    const top = rects[rowStart + 1];
+    const bottom = top + rects[rowStart + 3];
+
+    for (let y = top; y < bottom; y++) {
+      // Each block's run of pixels on this row is summed in locals first
+      for (let sum = rowStart; sum < rowStart + xPixels * 4; sum += 4) {
+        let i = (y * source.width + rects[sum]) * 4;
+        const end = i + rects[sum + 2] * 4;
+        let r = 0,
+          g = 0,
+          b = 0,
+          a = 0;
+        for (; i < end; i += 4) {
+          const alpha = data[i + 3];
+          r += channel[data[i]] * alpha;
+          g += channel[data[i + 1]] * alpha;
+          b += channel[data[i + 2]] * alpha;
+          a += alpha;
+        }
+        sums[sum] += r;
+        sums[sum + 1] += g;
+        sums[sum + 2] += b;
+        sums[sum + 3] += a;
+      }
+    }
+
+    onRow();
+  }
+
+  const colors = new Uint8ClampedArray(sums.length);
+  for (let offset = 0; offset < sums.length; offset += 4) {
+    const alphaSum = sums[offset + 3];
+    // A fully transparent block stays transparent black
+    if (alphaSum === 0) continue;
+
+    for (let c = 0; c < 3; c++) {
+      const mean = sums[offset + c] / alphaSum;
+      colors[offset + c] = linear ? linearToSrgb(mean) : Math.floor(mean);
+    }
+    const pixelCount = rects[offset + 2] * rects[offset + 3];
+    colors[offset + 3] = Math.floor(alphaSum / pixelCount);
+  }
+
+  return colors;
+}
+
+// Averages the pixels of every hexagonal cell (see nearestHex()), weighted by
+// alpha like meanBlocks().
+function hexBlocks(source, region, linear, onRow) {
+  const { xPixels, yPixels } = region;
+  const sums = new Float64Array(xPixels * yPixels * 4);
+  const counts = new Uint32Array(xPixels * yPixels);
+  const channel = linear ? SRGB_TO_LINEAR : IDENTITY;
+  const { data } = source;
+  let rowsDone = 0;
+
+  for (let y = 0; y < region.height; y++) {
+    const v = ((y + 0.5) * yPixels) / region.height;
+    let i = ((region.y + y) * source.width + region.x) * 4;
+
+    for (let x = 0; x < region.width; x++, i += 4) {
+      const cell = nearestHex(
+        ((x + 0.5) * xPixels) / region.width,
+        v,
+        xPixels,
+        yPixels
+      );
+      const sum = cell * 4;
+      const alpha = data[i + 3];
+      sums[sum] += channel[data[i]] * alpha;
+      sums[sum + 1] += channel[data[i + 1]] * alpha;
+      sums[sum + 2] += channel[data[i + 2]] * alpha;
+      sums[sum + 3] += alpha;
+      counts[cell]++;
+    }
+
+    const rows = Math.floor(((y + 1) * yPixels) / region.height);
+    for (; rowsDone < rows; rowsDone++) {
+      onRow();
+    }
+  }
+
+  const colors = new Uint8ClampedArray(sums.length);
+  for (let offset = 0; offset < sums.length; offset += 4) {
+    const alphaSum = sums[offset + 3];
+    if (alphaSum === 0) continue;
+
+    for (let c = 0; c < 3; c++) {
+      const mean = sums[offset + c] / alphaSum;
+      colors[offset + c] = linear ? linearToSrgb(mean) : Math.floor(mean);
+    }
+    colors[offset + 3] = Math.floor(alphaSum / counts[offset / 4]);
+  }
+
+  return colors;
+}
+
+// Makes every block either fully opaque or fully transparent (black).
+function thresholdAlpha(colors, threshold) {
+  for (let offset = 0; offset < colors.length; offset += 4) {
+    if (colors[offset + 3] >= threshold) {
+      colors[offset + 3] = 255;
+    } else {
+      colors.fill(0, offset, offset + 4);
+    }
+  }
+}
+
+// Composites every block onto the background, leaving it opaque.
+function flattenAlpha(colors, background, linear) {
+  for (let offset = 0; offset < colors.length; offset += 4) {
+    const alpha = colors[offset + 3] / 255;
+
+    for (let c = 0; c < 3; c++) {
+      colors[offset + c] = linear
+        ? linearToSrgb(
+            SRGB_TO_LINEAR[colors[offset + c]] * alpha +
+              SRGB_TO_LINEAR[background[c]] * (1 - alpha)
+          )
+        : Math.round(colors[offset + c] * alpha + background[c] * (1 - alpha));
+    }
+    colors[offset + 3] = 255;
+  }
+}
+
+// Samplers that need a block's pixels together get each block copied out.
+function pickBlocks(source, region, rects, sample, onRow) {
+  const colors = new Uint8ClampedArray(rects.length);
+  const rowLength = region.xPixels * 4;
+
+  for (let offset = 0; offset < rects.length; offset += 4) {
+    const w = rects[offset + 2];
+    const h = rects[offset + 3];
+
+    const block = readBlock(source, rects[offset], rects[offset + 1], w, h);
+    colors.set(sample(block, w, h), offset);
+
+    if ((offset + 4) % rowLength === 0) {
+      onRow();
+    }
+  }
+
+  return colors;
+}
+
+// Copies a w by h rectangle out of the source, like getImageData would.
+function readBlock(source, x, y, w, h) {
+  const block = new Uint8ClampedArray(w * h * 4);
+  for (let row = 0; row < h; row++) {
+    const start = ((y + row) * source.width + x) * 4;
+    block.set(source.data.subarray(start, start + w * 4), row * w * 4);
+  }
+  return block;
+}
+
+function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+function pixelAt(data, i) {
+  return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+}
+
+// Picks the pixel whose luminance wins `compare`, ignoring fully transparent
+// pixels so they cannot pass for black.
+function extremeLuminance(data, compare) {
+  let best = -1;
+  let bestLuminance = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    const l = luminance(data, i);
+    if (best === -1 || compare(l, bestLuminance)) {
+      best = i;
+      bestLuminance = l;
+    }
+  }
+  return best === -1 ? [0, 0, 0, 0] : pixelAt(data, best);
+}
+
+// Each sampler reduces the RGBA data of one w by h block to a single color.
+// The mean has no entry here since meanBlocks() handles it in one pass.
+const SAMPLERS = {
+  // The pixel closest to the per-channel median (counted with a histogram
+  // instead of sorting), so the color is one that occurs in the block
+  median(data) {
+    const half = data.length / 4 / 2;
+    const target = [];
+
+    for (let channel = 0; channel < 4; channel++) {
+      const histogram = new Uint32Array(256);
+      for (let i = channel; i < data.length; i += 4) {
+        histogram[data[i]]++;
+      }
+
+      let seen = 0;
+      let value = 0;
+      while (seen + histogram[value] <= half && value < 255) {
+        seen += histogram[value];
+        value++;
+      }
+      target.push(value);
+    }
+
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < data.length && bestDistance > 0; i += 4) {
+      let distance = 0;
+      for (let channel = 0; channel < 4; channel++) {
+        const d = data[i + channel] - target[channel];
+        distance += d * d;
+      }
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+
+    return pixelAt(data, best);
+  },
+
+  // Most common color, bucketed to 4 bits per channel (2 for alpha) so
+  // near-identical shades count together, then averaged within the bucket
+  dominant(data) {
+    const buckets = new Map();
+    let best = null;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const key =
+        ((data[i] >> 4) << 10) |
+        ((data[i + 1] >> 4) << 6) |
+        ((data[i + 2] >> 4) << 2) |
+        (data[i + 3] >> 6);
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = [0, 0, 0, 0, 0];
+        buckets.set(key, bucket);
+      }
+      bucket[0] += data[i];
+      bucket[1] += data[i + 1];
+      bucket[2] += data[i + 2];
+      bucket[3] += data[i + 3];
+      bucket[4]++;
+
+      if (!best || bucket[4] > best[4]) best = bucket;
+    }
+
+    return best.slice(0, 4).map((channel) => Math.floor(channel / best[4]));
+  },
+
+  center(data, w, h) {
+    const i = (Math.floor(h / 2) * w + Math.floor(w / 2)) * 4;
+    return pixelAt(data, i);
+  },
+
+  brightest(data) {
+    return extremeLuminance(data, (l, best) => l > best);
+  },
+
+  darkest(data) {
+    return extremeLuminance(data, (l, best) => l < best);
+  },
+};
+
+/**
+ * Create a lookup from a color to the nearest color of a palette
+ * @param {Array<number[]>} palette - [r, g, b] colors
+ * @param {string} [colorDistance="rgb"] - "rgb" or "ciede2000"
+ * @returns {Function} Takes an [r, g, b] color and returns the nearest palette entry itself (the same array)
+ */
+export function nearestColorLookup(palette, colorDistance = "rgb") {
+  return createNearestColor(
+    palette,
+    colorDistance === "ciede2000" ? ciede2000Distance : rgbDistance
+  );
+}
+
+// Returns a lookup from an [r, g, b] color to its nearest palette entry.
+function createNearestColor(palette, distance) {
+  const prepared = palette.map((color) => ({
+    rgb: color,
+    lab: rgbToLab(color),
+  }));
+  const cache = new Map();
+
+  return (rgb) => {
+    const key = (rgb[0] << 16) | (rgb[1] << 8) | rgb[2];
+    let nearest = cache.get(key);
+
+    if (!nearest) {
+      const lab = rgbToLab(rgb);
+      let best = Infinity;
+      for (const entry of prepared) {
+        const d = distance(rgb, lab, entry);
+        if (d < best) {
+          best = d;
+          nearest = entry.rgb;
+        }
+      }
+      cache.set(key, nearest);
+    }
+
+    return nearest;
+  };
+}
+
+// Error diffusion kernels as [dx, dy, weight] triples.
+const DIFFUSION_KERNELS = {
+  "floyd-steinberg": [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16],
+  ],
+  // Atkinson only spreads 6/8 of the error, which keeps highlights crisp
+  atkinson: [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+  ],
+};
+
+const BAYER_SIZES = { bayer2: 2, bayer4: 4, bayer8: 8 };
+
+function bayerMatrix(size) {
+  if (size === 1) return [[0]];
+
+  const half = bayerMatrix(size / 2);
+  const matrix = [];
+  for (let y = 0; y < size; y++) {
+    matrix.push([]);
+    for (let x = 0; x < size; x++) {
+      const base = 4 * half[y % (size / 2)][x % (size / 2)];
+      const quadrant = [
+        [0, 2],
+        [3, 1],
+      ][Math.floor((y * 2) / size)][Math.floor((x * 2) / size)];
+      matrix[y].push(base + quadrant);
+    }
+  }
+  return matrix;
+}
+
+// Snaps the RGB of every block to its nearest palette entry, keeping alpha.
+// Blocks are walked row by row over a grid `width` blocks wide so dithering
+// can spread the rounding error to their neighbours.
+function quantizeBlocks(colors, width, palette, nearest, dither) {
+  const height = colors.length / 4 / width;
+  const kernel = DIFFUSION_KERNELS[dither];
+  const errors = kernel ? new Float32Array(width * height * 3) : null;
+
+  let matrix = null;
+  let spread = 0;
+  if (BAYER_SIZES[dither]) {
+    matrix = bayerMatrix(BAYER_SIZES[dither]);
+    // Roughly the gap between neighbouring levels of an evenly spread palette
+    spread = 255 / Math.max(1, Math.round(Math.cbrt(palette.length)) - 1);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const offset = index * 4;
+      if (colors[offset + 3] === 0) continue;
+
+      const rgb = [colors[offset], colors[offset + 1], colors[offset + 2]];
+      if (errors) {
+        for (let c = 0; c < 3; c++) {
+          rgb[c] += errors[index * 3 + c];
+        }
+      } else if (matrix) {
+        const size = matrix.length;
+        const threshold = (matrix[y % size][x % size] + 0.5) / (size * size);
+        for (let c = 0; c < 3; c++) {
+          rgb[c] += (threshold - 0.5) * spread;
+        }
+      }
+
+      const clamped = rgb.map((c) => Math.min(255, Math.max(0, Math.round(c))));
+      const match = nearest(clamped);
+
+      if (errors) {
+        for (const [dx, dy, weight] of kernel) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) continue;
+          const target = (ny * width + nx) * 3;
+          for (let c = 0; c < 3; c++) {
+            errors[target + c] += (clamped[c] - match[c]) * weight;
+          }
+        }
+      }
+
+      colors[offset] = match[0];
+      colors[offset + 1] = match[1];
+      colors[offset + 2] = match[2];
+    }
+  }
+}
+
+/**
+ * Build a palette of up to `size` colors by repeatedly splitting the box with
+ * the widest channel range at its median. Fully transparent colors are skipped.
+ * @param {Array<Uint8ClampedArray>} blocks - RGBA color lists
+ * @param {number} size - Maximum number of colors
+ * @returns {Array<number[]>} Palette of [r, g, b] colors
+ */
+export function medianCutPalette(blocks, size) {
+  const pixels = [];
+  for (const colors of blocks) {
+    for (let i = 0; i < colors.length; i += 4) {
+      if (colors[i + 3] === 0) continue;
+      pixels.push([colors[i], colors[i + 1], colors[i + 2]]);
+    }
+  }
+
+  if (pixels.length === 0) return [[0, 0, 0]];
+
+  let boxes = [pixels];
+  while (boxes.length < size) {
+    let widest = -1;
+    let widestRange = 0;
+    let widestChannel = 0;
+
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let channel = 0; channel < 3; channel++) {
+        let min = 255;
+        let max = 0;
+        for (const pixel of box) {
+          if (pixel[channel] < min) min = pixel[channel];
+          if (pixel[channel] > max) max = pixel[channel];
+        }
+        if (max - min > widestRange) {
+          widest = i;
+          widestRange = max - min;
+          widestChannel = channel;
+        }
+      }
+    });
+
+    if (widest === -1) break;
+
+    const box = boxes[widest].sort(
+      (p, q) => p[widestChannel] - q[widestChannel]
+    );
+    const median = box.length >> 1;
+    boxes.splice(widest, 1, box.slice(0, median), box.slice(median));
+  }
+
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    for (const pixel of box) {
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+    }
+    return sum.map((channel) => Math.round(channel / box.length));
+  });
+}
+
+function rgbDistance(rgb, lab, entry) {
+  const dr = rgb[0] - entry.rgb[0];
+  const dg = rgb[1] - entry.rgb[1];
+  const db = rgb[2] - entry.rgb[2];
+  return dr * dr + dg * dg + db * db;
+}
+
+function ciede2000Distance(rgb, lab, entry) {
+  return ciede2000(lab, entry.lab);
+}
+
+function srgbToLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Linear light (0 to 1) back to an sRGB byte
+function linearToSrgb(value) {
+  const c =
+    value <= 0.0031308
+      ? value * 12.92
+      : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return Math.round(c * 255);
+}
+
+// Lookup tables so the hot loops don't run pow() per pixel
+const IDENTITY = Float64Array.from({ length: 256 }, (_, i) => i);
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, i) =>
+  srgbToLinear(i)
+);
+
+// sRGB to CIE L*a*b* under the D65 white point.
+function rgbToLab(rgb) {
+  const r = srgbToLinear(rgb[0]);
+  const g = srgbToLinear(rgb[1]);
+  const b = srgbToLinear(rgb[2]);
+
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+  const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+  const z = (0.0193339 * r + 0.119192 * g + 0.9503041 * b) / 1.08883;
+
+  const f = (t) =>
+    t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116;
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIEDE2000 color difference (Sharma, Wu and Dalal, 2005).
+function ciede2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const h1p = (Math.atan2(b1, a1p) / rad + 360) % 360;
+  const h2p = (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hbarp += h1p + h2p < 360 ? 360 : -360;
+    }
+    hbarp /= 2;
+  }
+
+  const T =
+    1 -
+    0.17 * Math.cos((hbarp - 30) * rad) +
+    0.24 * Math.cos(2 * hbarp * rad) +
+    0.32 * Math.cos((3 * hbarp + 6) * rad) -
+    0.2 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const Sl =
+    1 +
+    (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  const dL = dLp / Sl;
+  const dC = dCp / Sc;
+  const dH = dHp / Sh;
+
+  return Math.sqrt(dL * dL + dC * dC + dH * dH + Rt * dC * dH);
+}
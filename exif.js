@@ -0,0 +1,88 @@
+// Reads the EXIF orientation tag from JPEG, PNG and WebP bytes without
+// decoding the image, so photos can be turned upright the same way everywhere.
+
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Read the EXIF orientation of an encoded image
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @returns {number} Orientation from 1 (upright) to 8, or 1 when there is none
+ */
+export function readOrientation(bytes) {
+  const exif = findExif(bytes);
+  const orientation = exif ? readTIFFOrientation(exif) : 1;
+  return orientation >= 1 && orientation <= 8 ? orientation : 1;
+}
+
+// Returns the TIFF block holding the EXIF tags, or null
+function findExif(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (offset, length) =>
+    String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+  // JPEG: an APP1 segment starting with "Exif\0\0", before the scan data
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xda || marker === 0xd9) break;
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xe1 && ascii(offset + 4, 6) === "Exif\0\0") {
+        return bytes.subarray(offset + 10, offset + 2 + length);
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  // PNG: an eXIf chunk, which has to come before the image data
+  if (ascii(1, 3) === "PNG") {
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = ascii(offset + 4, 4);
+      if (type === "eXIf") {
+        return bytes.subarray(offset + 8, offset + 8 + length);
+      }
+      if (type === "IDAT" || type === "IEND") break;
+      offset += 12 + length;
+    }
+    return null;
+  }
+
+  // WebP: an EXIF chunk, sometimes written with the JPEG "Exif\0\0" prefix
+  if (ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset + 4, true);
+      if (ascii(offset, 4) === "EXIF") {
+        const start = ascii(offset + 8, 6) === "Exif\0\0" ? 14 : 8;
+        return bytes.subarray(offset + start, offset + 8 + length);
+      }
+      offset += 8 + length + (length & 1);
+    }
+    return null;
+  }
+
+  return null;
+}
+
+function readTIFFOrientation(tiff) {
+  if (tiff.length < 8) return 1;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const order = String.fromCharCode(tiff[0], tiff[1]);
+  if (order !== "II" && order !== "MM") return 1;
+  const little = order === "II";
+
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > tiff.length) return 1;
+  const count = view.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (view.getUint16(entry, little) === ORIENTATION_TAG) {
+      return view.getUint16(entry + 8, little);
+    }
+  }
+  return 1;
+}
@@ -0,0 +1,127 @@
+// Tells what kind of file some bytes are from their signature, so binary
+// input is decoded as what it is rather than what it claims to be.
+
+const ASCII = (text) => [...text].map((c) => c.charCodeAt(0));
+
+// ISO media brands (the "ftyp" box) of AVIF and HEIC images
+const AVIF_BRANDS = ["avif", "avis"];
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1"];
+
+const FORMATS = [
+  {
+    name: "PNG",
+    type: "image/png",
+    test: (bytes) => startsWith(bytes, [0x89, ...ASCII("PNG\r\n\x1a\n")]),
+  },
+  {
+    name: "JPEG",
+    type: "image/jpeg",
+    test: (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]),
+  },
+  {
+    name: "GIF",
+    type: "image/gif",
+    test: (bytes) =>
+      startsWith(bytes, ASCII("GIF87a")) || startsWith(bytes, ASCII("GIF89a")),
+  },
+  {
+    name: "WebP",
+    type: "image/webp",
+    test: (bytes) =>
+      startsWith(bytes, ASCII("RIFF")) &&
+      startsWith(bytes.subarray(8), ASCII("WEBP")),
+  },
+  {
+    name: "AVIF",
+    type: "image/avif",
+    test: (bytes) => hasBrand(bytes, AVIF_BRANDS),
+  },
+  {
+    name: "HEIC",
+    type: "image/heic",
+    test: (bytes) => hasBrand(bytes, HEIC_BRANDS),
+  },
+  {
+    name: "BMP",
+    type: "image/bmp",
+    test: (bytes) => startsWith(bytes, ASCII("BM")),
+  },
+  {
+    name: "ICO",
+    type: "image/x-icon",
+    test: (bytes) => startsWith(bytes, [0, 0, 1, 0]),
+  },
+  {
+    name: "TIFF",
+    type: "image/tiff",
+    test: (bytes) =>
+      startsWith(bytes, [0x49, 0x49, 0x2a, 0]) ||
+      startsWith(bytes, [0x4d, 0x4d, 0, 0x2a]),
+  },
+  {
+    name: "JPEG XL",
+    type: "image/jxl",
+    test: (bytes) =>
+      startsWith(bytes, [0xff, 0x0a]) ||
+      startsWith(bytes, [0, 0, 0, 0x0c, ...ASCII("JXL \r\n\x87\n")]),
+  },
+  {
+    name: "SVG",
+    type: "image/svg+xml",
+    test: (bytes) => {
+      const head = String.fromCharCode(...bytes.subarray(0, 1024));
+      return /^(\xef\xbb\xbf)?\s*</.test(head) && /<svg[\s>]/i.test(head);
+    },
+  },
+  {
+    name: "PDF",
+    type: "application/pdf",
+    image: false,
+    test: (bytes) => startsWith(bytes, ASCII("%PDF")),
+  },
+];
+
+/**
+ * Detect the format of encoded bytes from their signature
+ * @param {Uint8Array} bytes - Encoded file bytes
+ * @returns {{ name: string, type: string, image: boolean }|null} Format name, MIME type and whether it is an image format, or null when the bytes aren't recognized
+ */
+export function detectImageFormat(bytes) {
+  const format = FORMATS.find(({ test }) => test(bytes));
+  return format
+    ? { name: format.name, type: format.type, image: format.image !== false }
+    : null;
+}
+
+function startsWith(bytes, signature) {
+  return (
+    bytes.length >= signature.length &&
+    signature.every((value, i) => bytes[i] === value)
+  );
+}
+
+// Checks the major and compatible brands of a leading "ftyp" box
+function hasBrand(bytes, brands) {
+  if (
+    bytes.length < 16 ||
+    String.fromCharCode(...bytes.subarray(4, 8)) !== "ftyp"
+  ) {
+    return false;
+  }
+  const size = Math.min(
+    bytes.length,
+    ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0
+  );
+  for (let offset = 8; offset + 4 <= size; offset += 4) {
+    // Bytes 12 to 16 are the minor version, not a brand
+    if (offset === 12) continue;
+    if (
+      brands.includes(
+        String.fromCharCode(...bytes.subarray(offset, offset + 4))
+      )
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,511 @@
+import { medianCutPalette } from "./core.js";
+
+// A small pure-JS GIF codec. It decodes every frame of a (possibly animated)
+// GIF to full-size 8-bit RGBA, applying each frame's disposal method the way
+// browsers do, and encodes RGBA frames back into an animated GIF.
+
+const SIGNATURES = ["GIF87a", "GIF89a"];
+
+const MAX_CODE = 4095;
+
+/**
+ * Check whether bytes start with a GIF signature
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @returns {boolean} Whether the bytes look like a GIF
+ */
+export function isGIF(bytes) {
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  return SIGNATURES.includes(signature);
+}
+
+/**
+ * Decode a GIF into composited RGBA frames
+ * @param {Uint8Array} bytes - Encoded GIF bytes
+ * @returns {{ width: number, height: number, frames: Array<{ data: Uint8ClampedArray, delay: number }> }} Decoded frames with their delays in milliseconds
+ */
+export function decodeGIF(bytes) {
+  if (!isGIF(bytes)) {
+    throw new Error("Not a GIF image");
+  }
+
+  const width = bytes[6] | (bytes[7] << 8);
+  const height = bytes[8] | (bytes[9] << 8);
+  const screenFlags = bytes[10];
+  let offset = 13;
+
+  let globalPalette = null;
+  if (screenFlags & 0x80) {
+    const size = 3 << ((screenFlags & 7) + 1);
+    globalPalette = bytes.subarray(offset, offset + size);
+    offset += size;
+  }
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+  let control = null;
+
+  while (offset < bytes.length) {
+    const introducer = bytes[offset++];
+
+    if (introducer === 0x3b) break;
+
+    if (introducer === 0x21) {
+      const label = bytes[offset++];
+      if (label === 0xf9) {
+        const flags = bytes[offset + 1];
+        control = {
+          disposal: (flags >> 2) & 7,
+          transparent: flags & 1 ? bytes[offset + 4] : -1,
+          delay: (bytes[offset + 2] | (bytes[offset + 3] << 8)) * 10,
+        };
+      }
+      offset = skipSubBlocks(bytes, offset);
+      continue;
+    }
+
+    if (introducer !== 0x2c) {
+      throw new Error("Invalid GIF: unknown block");
+    }
+
+    const left = bytes[offset] | (bytes[offset + 1] << 8);
+    const top = bytes[offset + 2] | (bytes[offset + 3] << 8);
+    const frameWidth = bytes[offset + 4] | (bytes[offset + 5] << 8);
+    const frameHeight = bytes[offset + 6] | (bytes[offset + 7] << 8);
+    const imageFlags = bytes[offset + 8];
+    offset += 9;
+
+    let palette = globalPalette;
+    if (imageFlags & 0x80) {
+      const size = 3 << ((imageFlags & 7) + 1);
+      palette = bytes.subarray(offset, offset + size);
+      offset += size;
+    }
+    if (!palette) {
+      throw new Error("Invalid GIF: missing color table");
+    }
+
+    const minCodeSize = bytes[offset++];
+    const { data, end } = readSubBlocks(bytes, offset);
+    offset = end;
+
+    const indices = decodeLZW(data, minCodeSize, frameWidth * frameHeight);
+    const { disposal = 0, transparent = -1, delay = 0 } = control || {};
+    const previous = disposal === 3 ? canvas.slice() : null;
+
+    for (let row = 0; row < frameHeight; row++) {
+      const y = top + interlacedRow(row, frameHeight, imageFlags & 0x40);
+      if (y >= height) continue;
+
+      for (let column = 0; column < frameWidth; column++) {
+        const x = left + column;
+        const index = indices[row * frameWidth + column];
+        if (x >= width || index === transparent) continue;
+
+        const t = (y * width + x) * 4;
+        canvas[t] = palette[index * 3];
+        canvas[t + 1] = palette[index * 3 + 1];
+        canvas[t + 2] = palette[index * 3 + 2];
+        canvas[t + 3] = 255;
+      }
+    }
+
+    frames.push({ data: canvas.slice(), delay });
+
+    if (disposal === 2) {
+      // Browsers restore to transparent rather than the background color
+      for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+        const start = (y * width + left) * 4;
+        canvas.fill(0, start, start + Math.min(frameWidth, width - left) * 4);
+      }
+    } else if (previous) {
+      canvas.set(previous);
+    }
+    control = null;
+  }
+
+  if (frames.length === 0) {
+    throw new Error("Invalid GIF: no frames");
+  }
+
+  return { width, height, frames };
+}
+
+/**
+ * Encode RGBA frames as an animated GIF that loops forever. Pixels with alpha
+ * under 128 become transparent.
+ * @param {{ width: number, height: number, frames: Array<{ data: Uint8ClampedArray, delay: number }> }} image - Frames with delays in milliseconds
+ * @param {Object} [options={}] - Encoding options
+ * @param {string} [options.palette="local"] - "local" for a palette per frame, or "global" for one shared palette
+ * @param {number} [options.loop=0] - Times to play the animation, 0 for forever
+ * @returns {Uint8Array} Encoded GIF bytes
+ */
+export function encodeGIF({ width, height, frames }, options = {}) {
+  const { palette: paletteMode = "local", loop = 0 } = options;
+
+  if (!["local", "global"].includes(paletteMode)) {
+    throw new Error('GIF palette must be "local" or "global"');
+  }
+  if (!Number.isInteger(loop) || loop < 0 || loop > 0xffff) {
+    throw new Error("GIF loop count must be an integer from 0 to 65535");
+  }
+
+  const output = new ByteWriter();
+  const globalPalette =
+    paletteMode === "global" ? buildPalette(frames.map((f) => f.data)) : null;
+
+  output.string("GIF89a");
+  output.uint16(width);
+  output.uint16(height);
+  if (globalPalette) {
+    output.byte(0xf0 | (globalPalette.bits - 1));
+    output.bytes([0, 0]);
+    output.bytes(globalPalette.table);
+  } else {
+    output.bytes([0, 0, 0]);
+  }
+
+  if (frames.length > 1) {
+    output.bytes([0x21, 0xff, 11]);
+    output.string("NETSCAPE2.0");
+    output.bytes([3, 1]);
+    output.uint16(loop);
+    output.byte(0);
+  }
+
+  for (const frame of frames) {
+    const palette = globalPalette || buildPalette([frame.data]);
+    const indices = mapToPalette(frame.data, palette);
+
+    // Each frame covers the whole image, so it is cleared before the next
+    // one to let transparent areas show through
+    output.bytes([0x21, 0xf9, 4]);
+    output.byte((2 << 2) | (palette.transparent >= 0 ? 1 : 0));
+    output.uint16(Math.round(frame.delay / 10));
+    output.byte(Math.max(0, palette.transparent));
+    output.byte(0);
+
+    output.byte(0x2c);
+    output.uint16(0);
+    output.uint16(0);
+    output.uint16(width);
+    output.uint16(height);
+    if (globalPalette) {
+      output.byte(0);
+    } else {
+      output.byte(0x80 | (palette.bits - 1));
+      output.bytes(palette.table);
+    }
+
+    const minCodeSize = Math.max(2, palette.bits);
+    output.byte(minCodeSize);
+    const data = encodeLZW(indices, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      output.byte(block.length);
+      output.bytes(block);
+    }
+    output.byte(0);
+  }
+
+  output.byte(0x3b);
+  return output.result();
+}
+
+function skipSubBlocks(bytes, offset) {
+  while (bytes[offset] !== 0) {
+    if (offset >= bytes.length) {
+      throw new Error("Invalid GIF: truncated data");
+    }
+    offset += bytes[offset] + 1;
+  }
+  return offset + 1;
+}
+
+function readSubBlocks(bytes, offset) {
+  const end = skipSubBlocks(bytes, offset);
+  const data = new Uint8Array(end - offset);
+  let length = 0;
+  while (bytes[offset] !== 0) {
+    const size = bytes[offset];
+    data.set(bytes.subarray(offset + 1, offset + 1 + size), length);
+    length += size;
+    offset += size + 1;
+  }
+  return { data: data.subarray(0, length), end };
+}
+
+// Maps the n-th stored row of an interlaced image to its row in the picture.
+function interlacedRow(row, height, interlaced) {
+  if (!interlaced) return row;
+
+  const passes = [
+    [0, 8],
+    [4, 8],
+    [2, 4],
+    [1, 2],
+  ];
+  for (const [start, step] of passes) {
+    const rows = Math.ceil((height - start) / step);
+    if (row < rows) return start + row * step;
+    row -= rows;
+  }
+  return row;
+}
+
+function decodeLZW(data, minCodeSize, pixelCount) {
+  const indices = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  // Every code is stored as the code of its prefix plus its last index
+  const prefixes = new Int16Array(MAX_CODE + 1);
+  const suffixes = new Uint8Array(MAX_CODE + 1);
+  const lengths = new Uint16Array(MAX_CODE + 1);
+  for (let code = 0; code < clearCode; code++) {
+    suffixes[code] = code;
+    lengths[code] = 1;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let written = 0;
+  let bits = 0;
+  let bitCount = 0;
+  let position = 0;
+
+  while (written < pixelCount) {
+    while (bitCount < codeSize && position < data.length) {
+      bits |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    if (bitCount < codeSize) break;
+
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    let first;
+    if (previous === -1) {
+      if (code >= clearCode) throw new Error("Invalid GIF: bad LZW code");
+      indices[written++] = code;
+      previous = code;
+      continue;
+    }
+
+    const known = code < nextCode;
+    if (!known && code !== nextCode) {
+      throw new Error("Invalid GIF: bad LZW code");
+    }
+
+    // A code not in the table yet (the "KwKwK" case) stands for the previous
+    // string plus its own first index
+    const stringCode = known ? code : previous;
+    const length = lengths[stringCode];
+
+    // Walk the string from its last index back to its first
+    let cursor = written + length - 1;
+    for (let c = stringCode; ; c = prefixes[c], cursor--) {
+      if (cursor < pixelCount) indices[cursor] = suffixes[c];
+      if (lengths[c] === 1) {
+        first = suffixes[c];
+        break;
+      }
+    }
+    written += length;
+
+    if (!known) {
+      if (written < pixelCount) indices[written] = first;
+      written++;
+    }
+
+    if (nextCode <= MAX_CODE) {
+      prefixes[nextCode] = previous;
+      suffixes[nextCode] = first;
+      lengths[nextCode] = lengths[previous] + 1;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    previous = code;
+  }
+
+  return indices;
+}
+
+function encodeLZW(indices, minCodeSize) {
+  const output = new ByteWriter();
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+  let bits = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.byte(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let current = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (current << 8) | index;
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      current = code;
+      continue;
+    }
+
+    emit(current);
+    if (nextCode <= MAX_CODE) {
+      dictionary.set(key, nextCode);
+      // The decoder grows its code size one code later than the encoder adds it
+      if (nextCode === 1 << codeSize) codeSize++;
+      nextCode++;
+    } else {
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    current = index;
+  }
+
+  emit(current);
+  emit(endCode);
+  if (bitCount > 0) output.byte(bits & 0xff);
+
+  return output.result();
+}
+
+// Picks at most 256 colors for the frames (one slot is kept for transparency
+// when needed) and lays them out as a GIF color table.
+function buildPalette(frames) {
+  const unique = new Map();
+  let hasTransparency = false;
+
+  for (const data of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) {
+        hasTransparency = true;
+        continue;
+      }
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      if (!unique.has(key))
+        unique.set(key, [data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+
+  const maxColors = hasTransparency ? 255 : 256;
+  let colors = [...unique.values()];
+  if (colors.length > maxColors) {
+    const flat = new Uint8ClampedArray(colors.length * 4);
+    colors.forEach((color, i) => {
+      flat.set(color, i * 4);
+      flat[i * 4 + 3] = 255;
+    });
+    colors = medianCutPalette([flat], maxColors);
+  }
+
+  const count = Math.max(1, colors.length + (hasTransparency ? 1 : 0));
+  const bits = Math.max(1, Math.ceil(Math.log2(count)));
+  const table = new Uint8Array(3 << bits);
+  colors.forEach((color, i) => table.set(color, i * 3));
+
+  return {
+    colors,
+    bits,
+    table,
+    transparent: hasTransparency ? colors.length : -1,
+  };
+}
+
+function mapToPalette(data, palette) {
+  const indices = new Uint8Array(data.length / 4);
+  const cache = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) {
+      indices[i / 4] = palette.transparent;
+      continue;
+    }
+
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      palette.colors.forEach(([r, g, b], j) => {
+        const distance =
+          (data[i] - r) ** 2 + (data[i + 1] - g) ** 2 + (data[i + 2] - b) ** 2;
+        if (distance < best) {
+          best = distance;
+          index = j;
+        }
+      });
+      cache.set(key, index);
+    }
+    indices[i / 4] = index;
+  }
+
+  return indices;
+}
+
+// A growable byte buffer.
+class ByteWriter {
+  constructor() {
+    this._bytes = new Uint8Array(1024);
+    this._length = 0;
+  }
+
+  _reserve(size) {
+    if (this._length + size <= this._bytes.length) return;
+    const grown = new Uint8Array(
+      Math.max(this._bytes.length * 2, this._length + size)
+    );
+    grown.set(this._bytes.subarray(0, this._length));
+    this._bytes = grown;
+  }
+
+  byte(value) {
+    this._reserve(1);
+    this._bytes[this._length++] = value;
+  }
+
+  bytes(values) {
+    this._reserve(values.length);
+    this._bytes.set(values, this._length);
+    this._length += values.length;
+  }
+
+  uint16(value) {
+    this.bytes([value & 0xff, value >> 8]);
+  }
+
+  string(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.byte(text.charCodeAt(i));
+    }
+  }
+
+  result() {
+    return this._bytes.slice(0, this._length);
+  }
+}
@@ -1,7 +1,55 @@
 /**
- * Supported image source types that can be converted to HTMLImageElement
+ * Supported image sources: elements and bitmaps to copy pixels from, encoded
+ * bytes, or a URL. Video elements give their current frame
  */
-export type ImageSource = HTMLImageElement | Blob | ArrayBuffer | string;
+export type ImageSource =
+  | HTMLImageElement
+  | HTMLCanvasElement
+  | HTMLVideoElement
+  | OffscreenCanvas
+  | ImageBitmap
+  | ImageData
+  | Blob
+  | ArrayBuffer
+  | ArrayBufferView
+  | Response
+  | string;
+
+/**
+ * Supported live video sources, such as a webcam or screen share
+ */
+export type VideoSource = HTMLVideoElement | MediaStream;
+
+/**
+ * Crop, rotation and flips applied to the image when it is loaded, after
+ * turning it upright from its EXIF orientation
+ */
+export interface SourceTransformOptions {
+  /**
+   * Part of the upright image to keep, in whole pixels
+   * @default The whole image
+   */
+  crop?: { x: number; y: number; width: number; height: number };
+
+  /**
+   * Clockwise rotation in degrees, applied after cropping. Must be a
+   * multiple of 90
+   * @default 0
+   */
+  rotate?: number;
+
+  /**
+   * Mirror the image left to right, after rotating
+   * @default false
+   */
+  flipHorizontal?: boolean;
+
+  /**
+   * Mirror the image top to bottom, after rotating
+   * @default false
+   */
+  flipVertical?: boolean;
+}
 
 /**
  * Configuration options for creating a Pixyelator instance
@@ -12,6 +60,209 @@ export interface PixyelatorOptions {
    * @default A newly created canvas element
    */
   targetCanvas?: HTMLCanvasElement;
+
+  /**
+   * Let each pixelate() call cancel the ones still running, so only the
+   * latest call ever paints. Cancelled calls reject with an AbortError
+   * @default false
+   */
+  supersede?: boolean;
+}
+
+/**
+ * A palette color, either a hex string ("#rgb" or "#rrggbb") or an [r, g, b] array
+ */
+export type PaletteColor = string | [number, number, number];
+
+/**
+ * Strategies for picking the color of each block
+ */
+export type SamplingMode =
+  | "mean"
+  | "median"
+  | "dominant"
+  | "center"
+  | "brightest"
+  | "darkest";
+
+/**
+ * Dithering algorithms applied at block resolution
+ */
+export type DitherMode =
+  | "floyd-steinberg"
+  | "atkinson"
+  | "bayer2"
+  | "bayer4"
+  | "bayer8";
+
+/**
+ * Built-in palettes that can be passed by name
+ */
+export type NamedPalette = "gameboy" | "pico8" | "cga" | "websafe";
+
+/**
+ * A rectangle, in source-pixel coordinates, to pixelate on its own.
+ * Block settings are optional; without them the region reuses the block size
+ * of the full-image xPixels by yPixels grid.
+ */
+export interface PixelateRegion {
+  /** Left edge of the region */
+  x: number;
+  /** Top edge of the region */
+  y: number;
+  /** Width of the region */
+  width: number;
+  /** Height of the region */
+  height: number;
+  /** Number of horizontal blocks inside the region */
+  xPixels?: number;
+  /** Number of vertical blocks inside the region */
+  yPixels?: number;
+  /** Width and height of each block, in source pixels */
+  blockSize?: number;
+  /** Width of each block, in source pixels (overrides blockSize) */
+  blockWidth?: number;
+  /** Height of each block, in source pixels (overrides blockSize) */
+  blockHeight?: number;
+}
+
+/**
+ * When a filter runs: on source pixels before reduction, or on block colors
+ * after it
+ */
+export type FilterStage = "before" | "after";
+
+/**
+ * A color filter. Filters given by name alone use their defaults, which are
+ * the full effect for "sepia", "invert" and "grayscale", 4 levels for
+ * "posterize" and a level of 128 for "threshold"
+ */
+export type ColorFilter =
+  | "sepia"
+  | "invert"
+  | "grayscale"
+  | "posterize"
+  | "threshold"
+  | {
+      /** Strength of the adjustment; 1 keeps the image as it is */
+      type: "brightness" | "contrast" | "saturation";
+      amount: number;
+      stage?: FilterStage;
+    }
+  | {
+      /** From 0 (no effect) to 1 (full effect) */
+      type: "sepia" | "invert" | "grayscale";
+      amount?: number;
+      stage?: FilterStage;
+    }
+  | {
+      type: "hueRotate";
+      /** Angle to rotate hues by */
+      degrees: number;
+      stage?: FilterStage;
+    }
+  | {
+      type: "posterize";
+      /** Levels per channel, from 2 to 256 */
+      levels?: number;
+      stage?: FilterStage;
+    }
+  | {
+      type: "threshold";
+      /** Lowest luminance (0 to 255) that turns white; anything darker turns black */
+      level?: number;
+      stage?: FilterStage;
+    };
+
+/**
+ * A mask of the areas to pixelate, the same size as the image. Images and
+ * canvases (or RGBA buffers, in Node) pixelate where they are light and
+ * opaque; an array has one alpha value (0 to 255) per pixel, row by row
+ */
+export type PixelateMask =
+  | HTMLImageElement
+  | HTMLCanvasElement
+  | OffscreenCanvas
+  | ImageBitmap
+  | ImageData
+  | { width: number; height: number; data: Uint8ClampedArray | Uint8Array }
+  | Uint8Array
+  | Uint8ClampedArray
+  | number[];
+
+/**
+ * What to do when more blocks are requested than the image has pixels:
+ * throw, clamp the counts to the image size, or upsample into a
+ * nearest-neighbour grid
+ */
+export type OversizePolicy = "error" | "clamp" | "upsample";
+
+/**
+ * How big the rendered output is: the image's natural size, one pixel per
+ * block, or a box the image is fit into (a missing side follows the aspect ratio)
+ */
+export type OutputSize =
+  | "natural"
+  | "grid"
+  | { width: number; height?: number }
+  | { width?: number; height: number };
+
+/**
+ * Lines drawn on the edges between cells
+ */
+export interface GridLineOptions {
+  /**
+   * Line width in output pixels
+   * @default 1
+   */
+  width?: number;
+  /**
+   * Line color
+   * @default "#000000"
+   */
+  color?: PaletteColor;
+  /**
+   * Line opacity from 0 to 1
+   * @default 1
+   */
+  opacity?: number;
+}
+
+/**
+ * Gaps around every cell, like the grout of a mosaic
+ */
+export interface CellGapOptions {
+  /**
+   * Gap width between two cells, in output pixels
+   * @default 1
+   */
+  width?: number;
+  /**
+   * Gap color
+   * @default Transparent
+   */
+  color?: PaletteColor;
+  /**
+   * Gap opacity from 0 to 1 when a color is set
+   * @default 1
+   */
+  opacity?: number;
+  /**
+   * Corner radius of the cells, in output pixels
+   * @default 0
+   */
+  radius?: number;
+}
+
+/**
+ * Options for the worker pool shared by all instances
+ */
+export interface WorkerPoolOptions {
+  /**
+   * Maximum number of workers
+   * @default navigator.hardwareConcurrency
+   */
+  size?: number;
 }
 
 /**
@@ -19,10 +270,343 @@ export interface PixyelatorOptions {
  */
 export interface PixelateOptions {
   /**
-   * Whether to convert the image to grayscale
+   * Whether to convert the image to grayscale. Shorthand for a "grayscale"
+   * filter after all other filters
    * @default false
    */
   grayscale?: boolean;
+
+  /**
+   * Color filters, run in order. Each runs on the source pixels before they
+   * are reduced to blocks (stage "before") or on the block colors (stage
+   * "after", the default)
+   * @default No filters
+   */
+  filters?: ColorFilter[];
+
+  /**
+   * How each block's color is picked: the mean, the pixel closest to the
+   * per-channel median, the most common (bucketed) color, the center pixel,
+   * or the brightest or darkest pixel
+   * @default "mean"
+   */
+  sampling?: SamplingMode;
+
+  /**
+   * Color space blocks are averaged in. "srgb" averages the gamma-encoded
+   * bytes; "linear" averages linear light, so mixed bright and dark detail
+   * keeps its perceived brightness. Grayscale follows it too: BT.709
+   * luminance in linear light, or the original BT.601 luma on sRGB values
+   * @default "srgb"
+   */
+  colorSpace?: "srgb" | "linear";
+
+  /**
+   * How transparency is handled. Colors are always averaged weighted by
+   * alpha, so transparent pixels don't darken edges. "average" keeps the
+   * mean alpha, "threshold" makes each block fully opaque or fully transparent
+   * at alphaThreshold, and "flatten" composites blocks onto background
+   * @default "average"
+   */
+  alphaMode?: "average" | "threshold" | "flatten";
+
+  /**
+   * Lowest block alpha (0 to 255) that stays opaque with alphaMode "threshold"
+   * @default 128
+   */
+  alphaThreshold?: number;
+
+  /**
+   * Color blocks are composited onto with alphaMode "flatten"
+   * @default "#ffffff"
+   */
+  background?: PaletteColor;
+
+  /**
+   * Snap every block to the nearest color of a palette: a list of colors,
+   * a built-in palette name, or "auto" to build one from the image with median cut
+   * @default Exact block averages are kept
+   */
+  palette?: PaletteColor[] | NamedPalette | "auto";
+
+  /**
+   * Number of colors generated when palette is "auto"
+   * @default 16
+   */
+  paletteSize?: number;
+
+  /**
+   * How the nearest palette color is chosen: plain RGB distance, or the
+   * perceptual CIEDE2000 difference in Lab space
+   * @default "rgb"
+   */
+  colorDistance?: "rgb" | "ciede2000";
+
+  /**
+   * Dither blocks when reducing colors. Needs a palette or grayscale; grayscale
+   * without a palette dithers to 1-bit black and white
+   * @default No dithering
+   */
+  dither?: DitherMode;
+
+  /**
+   * Shape of each cell. "hexagon" averages hexagonal cells in offset rows
+   * (mean sampling only), "circle" draws a dot per block (an LED-board look)
+   * and "halftone" draws dots whose size follows the block's darkness
+   * @default "square"
+   */
+  shape?: "square" | "hexagon" | "circle" | "halftone";
+
+  /**
+   * Color painted behind shaped cells, showing between circles and dots
+   * @default Transparent
+   */
+  shapeBackground?: PaletteColor;
+
+  /**
+   * Draw lines between cells. true uses the defaults. Not available with hexagon cells
+   */
+  gridLines?: boolean | GridLineOptions;
+
+  /**
+   * Leave gaps around cells, optionally with rounded corners. true uses the
+   * defaults, a number sets the width. Not available with hexagon cells
+   */
+  cellGap?: boolean | number | CellGapOptions;
+
+  /**
+   * Render each block as a scale by scale square, giving an
+   * xPixels * scale by yPixels * scale output. Cannot be combined with outputSize
+   */
+  scale?: number;
+
+  /**
+   * Size of the rendered output. A box with both sides aspect-fits the image
+   * and centers it, leaving the rest transparent
+   * @default "natural"
+   */
+  outputSize?: OutputSize;
+
+  /**
+   * Cancels the pixelation, stopping its worker and rejecting with an AbortError
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Called with the fraction (0 to 1) of block rows finished while the image
+   * is sampled. Reports are throttled and the last one is always 1. Not called
+   * after the pixelation is cancelled
+   */
+  onProgress?: (progress: number) => void;
+
+  /**
+   * Only pixelate these rectangles and draw the rest of the original image unchanged
+   * @default The whole image is pixelated
+   */
+  regions?: PixelateRegion[];
+
+  /**
+   * Only pixelate where the mask is set, blending into the original image
+   * elsewhere, e.g. for a person's silhouette
+   * @default The whole image is pixelated
+   */
+  mask?: PixelateMask;
+
+  /**
+   * Blur radius, in source pixels, that softens the edges of the mask
+   * @default 0
+   */
+  feather?: number;
+
+  /**
+   * Pixelate everything except the masked areas
+   * @default false
+   */
+  invertMask?: boolean;
+
+  /**
+   * What to do when xPixels or yPixels is larger than the image
+   * @default "error"
+   */
+  oversize?: OversizePolicy;
+}
+
+/**
+ * Block colors of a pixelated image or region, as computed by the worker
+ */
+export interface BlockGrid {
+  /** Left edge of the pixelated area in the source image */
+  x: number;
+  /** Top edge of the pixelated area in the source image */
+  y: number;
+  /** Width of the pixelated area in source pixels */
+  width: number;
+  /** Height of the pixelated area in source pixels */
+  height: number;
+  /** Number of horizontal blocks */
+  xPixels: number;
+  /** Number of vertical blocks */
+  yPixels: number;
+  /** RGBA color of every block, row by row (4 entries per block) */
+  colors: Uint8ClampedArray;
+  /** Source rectangle of every block as x, y, width, height (4 entries per block) */
+  rects: Uint32Array;
+}
+
+/**
+ * Options for encoding the pixelated image
+ */
+export interface EncodeOptions {
+  /**
+   * Image MIME type, e.g. "image/png", "image/jpeg", "image/webp" or
+   * "image/avif" where the browser supports it
+   * @default "image/png"
+   */
+  type?: string;
+
+  /**
+   * Quality from 0 to 1 for lossy types
+   * @default The browser's default
+   */
+  quality?: number;
+}
+
+/**
+ * Options for pixelating a video with start()
+ */
+export interface LivePixelateOptions extends PixelateOptions {
+  /**
+   * Called with the error if a frame fails to pixelate, which stops the loop
+   */
+  onError?: (error: Error) => void;
+}
+
+/**
+ * Options for encoding the pixelated image as a GIF
+ */
+export interface GIFOptions {
+  /**
+   * "local" builds a palette for every frame, "global" shares one palette
+   * between all frames
+   * @default "local"
+   */
+  palette?: "local" | "global";
+
+  /**
+   * Times to play the animation, 0 for forever
+   * @default 0
+   */
+  loop?: number;
+}
+
+/**
+ * A thread or bead color that pattern cells are matched to
+ */
+export interface PatternColor {
+  /** Manufacturer code, such as "310" for DMC black */
+  code: string;
+  name?: string;
+  /** "#rrggbb" hex color */
+  color: string;
+}
+
+/**
+ * Options for charting the pixelation as a cross-stitch or bead pattern
+ */
+export interface PatternOptions {
+  /**
+   * Colors to match blocks to: built-in DMC floss, Perler beads, or your own
+   * list
+   * @default "dmc"
+   */
+  palette?: "dmc" | "perler" | PatternColor[];
+
+  /**
+   * Metric used to match blocks to the palette
+   * @default "ciede2000"
+   */
+  colorDistance?: "rgb" | "ciede2000";
+
+  /**
+   * Size of each chart cell in SVG units
+   * @default 12
+   */
+  cellSize?: number;
+}
+
+/**
+ * One color of a pattern legend
+ */
+export interface PatternLegendEntry {
+  symbol: string;
+  code: string;
+  name: string;
+  color: string;
+  /** Number of cells stitched or beaded in this color */
+  count: number;
+}
+
+/**
+ * Data encoded in the JSON output of toPattern()
+ */
+export interface PatternData {
+  width: number;
+  height: number;
+  /** "dmc", "perler" or "custom" */
+  palette: string;
+  /** Colors in use, most used first */
+  legend: PatternLegendEntry[];
+  /** Rows of legend indices, null for transparent cells */
+  cells: Array<Array<number | null>>;
+}
+
+/**
+ * A printable chart and the same pattern as JSON
+ */
+export interface Pattern {
+  svg: string;
+  /** PatternData serialized as JSON */
+  json: string;
+}
+
+/**
+ * Options for drawing the pixelation as a vector SVG
+ */
+export interface SVGOptions {
+  /**
+   * Multiplier for the SVG's width and height, relative to the source image
+   * @default 1
+   */
+  scale?: number;
+
+  /**
+   * "none" draws a rect per block, "runs" merges same-colored neighbours into
+   * larger rects, and "regions" draws one path per color
+   * @default "runs"
+   */
+  merge?: "none" | "runs" | "regions";
+
+  /**
+   * Add a crispEdges rendering hint so block edges aren't antialiased
+   * @default true
+   */
+  crispEdges?: boolean;
+
+  /**
+   * Leave out fully transparent blocks
+   * @default true
+   */
+  omitTransparent?: boolean;
+}
+
+/**
+ * Frames of an animated image, composited to full size
+ */
+export interface AnimatedImage {
+  width: number;
+  height: number;
+  /** RGBA pixels of every frame, with its delay in milliseconds */
+  frames: Array<{ data: Uint8ClampedArray; delay: number }>;
 }
 
 /**
@@ -31,9 +615,10 @@ export interface PixelateOptions {
 export interface PixelateChainable {
   /**
    * Convert the pixelated image to a Blob
+   * @param options - Encoding options
    * @returns Promise resolving to a Blob containing the image data
    */
-  toBlob(): Promise<Blob>;
+  toBlob(options?: EncodeOptions): Promise<Blob>;
 
   /**
    * Get the canvas element containing the pixelated image
@@ -43,15 +628,50 @@ export interface PixelateChainable {
 
   /**
    * Convert the pixelated image to a data URL
+   * @param options - Encoding options
    * @returns Data URL string containing the image data
    */
-  toDataURL(): Promise<string>;
+  toDataURL(options?: EncodeOptions): Promise<string>;
 
   /**
    * Convert the pixelated image to an ArrayBuffer
+   * @param options - Encoding options
    * @returns Promise resolving to an ArrayBuffer containing the image data
    */
-  toArrayBuffer(): Promise<ArrayBuffer>;
+  toArrayBuffer(options?: EncodeOptions): Promise<ArrayBuffer>;
+
+  /**
+   * Get the pixel data of the pixelated image
+   * @returns Promise resolving to the ImageData of the canvas
+   */
+  toImageData(): Promise<ImageData>;
+
+  /**
+   * Get the block colors and source rectangles of the pixelation
+   * @returns Promise resolving to the block grid, or one grid per region
+   */
+  getBlocks(): Promise<BlockGrid | BlockGrid[]>;
+
+  /**
+   * Encode the pixelated image as a GIF, keeping every frame of animated input
+   * @param options - GIF options
+   * @returns Promise resolving to a Blob containing the GIF
+   */
+  toGIF(options?: GIFOptions): Promise<Blob>;
+
+  /**
+   * Chart the block grid as a cross-stitch or bead pattern
+   * @param options - Pattern options
+   * @returns Promise resolving to the SVG chart and its JSON data
+   */
+  toPattern(options?: PatternOptions): Promise<Pattern>;
+
+  /**
+   * Draw the blocks as a vector SVG
+   * @param options - SVG options
+   * @returns Promise resolving to the SVG markup
+   */
+  toSVG(options?: SVGOptions): Promise<string>;
 }
 
 /**
@@ -65,37 +685,118 @@ export type PixelatePromise = Promise<void> & PixelateChainable;
 export class Pixyelator {
   /**
    * Creates a new Pixyelator instance
-   * @param imageElement - The HTMLImageElement to pixelate
+   * @param image - The image, canvas or video element to pixelate, or the frames of an animation
    * @param options - Configuration options
    */
-  constructor(imageElement: HTMLImageElement, options?: PixyelatorOptions);
+  constructor(
+    image:
+      | HTMLImageElement
+      | HTMLCanvasElement
+      | HTMLVideoElement
+      | AnimatedImage,
+    options?: PixyelatorOptions
+  );
+
+  /**
+   * Configure the worker pool shared by all instances
+   * @param options - Pool options
+   * @throws Error if the size is not a positive integer
+   */
+  static configureWorkerPool(options?: WorkerPoolOptions): void;
+
+  /**
+   * Start all pool workers now so the first pixelate() calls don't wait for them
+   * @param options - Pool options, as in configureWorkerPool()
+   */
+  static warmUpWorkerPool(options?: WorkerPoolOptions): void;
+
+  /**
+   * Stop all pool workers. Pending pixelations are rejected; later calls start workers again
+   */
+  static terminateWorkerPool(): void;
 
   /**
    * Factory method to create Pixyelator instance from various image sources
-   * @param imageSource - Image source (HTMLImageElement, Blob, ArrayBuffer, data URL, or image URL)
+   * @param imageSource - Image source (an image, canvas or video element, OffscreenCanvas, ImageBitmap, ImageData, Blob or File, ArrayBuffer, Uint8Array, Response, data URL, or image URL)
    * @param options - Configuration options
    * @returns Promise resolving to a new Pixyelator instance
-   * @throws Error if image fails to load or has invalid dimensions
+   * @throws Error if image fails to load or decode, isn't an image format, has invalid dimensions, or the crop, rotate or flip options are invalid
    */
   static fromImage(
     imageSource: ImageSource,
+    options?: PixyelatorOptions & SourceTransformOptions
+  ): Promise<Pixyelator>;
+
+  /**
+   * Create a Pixyelator instance that pixelates a video or MediaStream frame
+   * by frame with start()
+   * @param videoSource - Video element or MediaStream, e.g. from getUserMedia() or getDisplayMedia()
+   * @param options - Configuration options
+   * @returns Promise resolving to a new Pixyelator instance
+   * @throws Error if the source is unsupported or the video fails to load
+   */
+  static fromVideo(
+    videoSource: VideoSource,
     options?: PixyelatorOptions
   ): Promise<Pixyelator>;
 
   /**
-   * Pixelate the image and write to the target canvas
+   * Pixelate the image and write to the target canvas. Give only one count
+   * (the other as null or undefined) to derive the other and keep blocks square
    * @param xPixels - Number of horizontal pixels/blocks (must be positive integer)
    * @param yPixels - Number of vertical pixels/blocks (must be positive integer)
    * @param options - Pixelation options
    * @returns Promise with chainable output methods (toBlob, toCanvas, toDataURL, toArrayBuffer)
-   * @throws Error if instance is disposed, dimensions are invalid, or exceed image dimensions
+   * @throws Error if instance is disposed, dimensions are invalid, or exceed image dimensions without an oversize policy
    */
   pixelate(
-    xPixels: number,
-    yPixels: number,
+    xPixels: number | null | undefined,
+    yPixels?: number | null,
     options?: PixelateOptions
   ): PixelatePromise;
 
+  /**
+   * Pixelate the image into blocks of a given size, in source pixels. Block
+   * counts are rounded to the nearest whole number
+   * @param blockWidth - Width of each block (must be a positive number)
+   * @param blockHeight - Height of each block, defaults to blockWidth
+   * @param options - Pixelation options
+   * @returns Promise with chainable output methods
+   * @throws Error if instance is disposed or the block sizes are invalid
+   */
+  pixelateByBlockSize(
+    blockWidth: number,
+    blockHeight?: number | null,
+    options?: PixelateOptions
+  ): PixelatePromise;
+
+  /**
+   * Start pixelating a video source into the target canvas on every new
+   * frame. Calling it again while running switches to the new settings
+   * @param xPixels - Number of horizontal pixels/blocks (must be positive integer)
+   * @param yPixels - Number of vertical pixels/blocks (must be positive integer)
+   * @param options - Pixelation options
+   * @throws Error if instance is disposed, not created from a video, or the options are invalid
+   */
+  start(
+    xPixels: number | null | undefined,
+    yPixels?: number | null,
+    options?: LivePixelateOptions
+  ): void;
+
+  /**
+   * Stop pixelating the video. The last frame stays on the canvas
+   */
+  stop(): void;
+
+  /**
+   * Capture the target canvas as a MediaStream, e.g. for MediaRecorder
+   * @param fps - Maximum frame rate, defaults to a new frame on every change
+   * @returns Stream of the pixelated canvas
+   * @throws Error if instance is disposed or the browser can't capture canvases
+   */
+  toMediaStream(fps?: number): MediaStream;
+
   /**
    * Get the canvas element containing the pixelated image
    * @returns The canvas element
@@ -107,22 +808,67 @@ export class Pixyelator {
    * Convert the pixelated image to a Blob
    * @returns Promise resolving to a Blob containing the image data
    * @throws Error if instance is disposed
+   * @param options - Encoding options
    */
-  toBlob(): Promise<Blob>;
+  toBlob(options?: EncodeOptions): Promise<Blob>;
 
   /**
    * Convert the pixelated image to a data URL
+   * @param options - Encoding options
    * @returns Data URL string containing the image data
-   * @throws Error if instance is disposed
+   * @throws Error if instance is disposed or the browser can't encode the type
    */
-  toDataURL(): string;
+  toDataURL(options?: EncodeOptions): string;
 
   /**
    * Convert the pixelated image to an ArrayBuffer
    * @returns Promise resolving to an ArrayBuffer containing the image data
    * @throws Error if instance is disposed
+   * @param options - Encoding options
+   */
+  toArrayBuffer(options?: EncodeOptions): Promise<ArrayBuffer>;
+
+  /**
+   * Get the pixel data of the pixelated image
+   * @returns ImageData read back from the canvas
+   * @throws Error if instance is disposed
+   */
+  toImageData(): ImageData;
+
+  /**
+   * Get the block colors and source rectangles of the last pixelation
+   * @returns The block grid, or one grid per region when pixelated with regions
+   * @throws Error if instance is disposed or nothing has been pixelated yet
+   */
+  getBlocks(): BlockGrid | BlockGrid[];
+
+  /**
+   * Encode the pixelated image as a GIF. Animated GIFs and PNGs keep all of
+   * their frames and their timing
+   * @param options - GIF options
+   * @returns Promise resolving to a Blob containing the GIF
+   * @throws Error if instance is disposed or the GIF options are invalid
+   */
+  toGIF(options?: GIFOptions): Promise<Blob>;
+
+  /**
+   * Chart the block grid as a cross-stitch or bead pattern: an SVG with a
+   * symbol in every cell, bold lines every 10 cells, numbered edges and a
+   * legend with stitch counts, plus the same data as JSON
+   * @param options - Pattern options
+   * @returns The SVG chart and its JSON data
+   * @throws Error if instance is disposed, nothing has been pixelated yet, the pixelation used regions, or the palette is invalid
+   */
+  toPattern(options?: PatternOptions): Pattern;
+
+  /**
+   * Draw the blocks as a vector SVG that stays sharp at any size, with one
+   * unit per block stretched to the source image's size
+   * @param options - SVG options
+   * @returns SVG markup
+   * @throws Error if instance is disposed, nothing has been pixelated yet, the pixelation used regions, shapes, grid lines or cell gaps, or the SVG options are invalid
    */
-  toArrayBuffer(): Promise<ArrayBuffer>;
+  toSVG(options?: SVGOptions): string;
 
   /**
    * Clean up resources and dispose of the instance
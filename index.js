@@ -1,20 +1,250 @@
+import {
+  blockSizeToPixels,
+  copyBlocks,
+  renderSVG,
+  resolvePixelateOptions,
+  resolveSourceTransform,
+  transformImageData,
+  usesLayer,
+} from "./core.js";
+import { readOrientation } from "./exif.js";
+import { detectImageFormat } from "./format.js";
+import { decodeGIF, encodeGIF, isGIF } from "./gif.js";
+import { createPattern } from "./pattern.js";
+import { decodePNGAsync, isAnimatedPNG } from "./png.js";
+import { WorkerPool, abortReason } from "./workerPool.js";
+
+// Shared by every instance so workers are reused between pixelate() calls.
+// It is made on first use, so importing this module doesn't need navigator
+// (server rendering, prerendering, tests).
+let workerPool = null;
+
+function getWorkerPool() {
+  if (!workerPool) {
+    workerPool = new WorkerPool(
+      new URL("rgbaWorker.js", import.meta.url),
+      navigator.hardwareConcurrency || 4
+    );
+  }
+  return workerPool;
+}
+
+function validatePoolSize(size) {
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error("Worker pool size must be a positive integer");
+  }
+}
+
 function convertToImageElement(image) {
   switch (true) {
     case image instanceof HTMLImageElement:
       return image;
-    case image instanceof Blob:
-      return blobToImageElement(image);
-    case typeof image === "string" && image.startsWith("data:"):
-      return dataURLToImageElement(image);
     case typeof image === "string":
       return imageUrlToImageElement(image);
-    case image instanceof ArrayBuffer:
-      return arrayBufferToImageElement(image);
     default:
       throw new Error("Unsupported image type");
   }
 }
 
+// Copies pixel sources into a canvas of their own, so later changes to them
+// don't show up in the instance. Videos give their current frame. Returns
+// null for anything else.
+async function snapshotPixels(image) {
+  switch (true) {
+    case image instanceof ImageData: {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.width;
+      canvas.height = image.height;
+      canvas.getContext("2d").putImageData(image, 0, 0);
+      return canvas;
+    }
+    case image instanceof HTMLVideoElement:
+      await waitForVideoFrame(image);
+      return drawToCanvas(image, image.videoWidth, image.videoHeight);
+    case image instanceof HTMLCanvasElement:
+    case typeof OffscreenCanvas !== "undefined" &&
+      image instanceof OffscreenCanvas:
+    case typeof ImageBitmap !== "undefined" && image instanceof ImageBitmap:
+      return drawToCanvas(image, image.width, image.height);
+    default:
+      return null;
+  }
+}
+
+function drawToCanvas(image, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  if (width > 0 && height > 0) {
+    canvas.getContext("2d").drawImage(image, 0, 0);
+  }
+  return canvas;
+}
+
+// Binary sources and URLs are read as bytes and sniffed, so they're decoded
+// as what they are whatever they're labeled or named. Returns null for
+// anything else, and for URLs that can't be fetched (a connect-src policy,
+// say), which load through an image element as is.
+async function readImageBytes(image) {
+  switch (true) {
+    case image instanceof Blob:
+      return new Uint8Array(await image.arrayBuffer());
+    case image instanceof ArrayBuffer:
+      return new Uint8Array(image);
+    case ArrayBuffer.isView(image):
+      return new Uint8Array(image.buffer, image.byteOffset, image.byteLength);
+    case typeof Response !== "undefined" && image instanceof Response:
+      return readResponse(image);
+    case typeof image === "string": {
+      let response;
+      try {
+        response = await fetch(image);
+      } catch {
+        return null;
+      }
+      return readResponse(response);
+    }
+    default:
+      return null;
+  }
+}
+
+async function readResponse(response) {
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Inflates zlib data with the browser's own decompressor
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Resolves to an image element, a canvas, or the decoded frames of an
+// animated GIF or PNG. Photos are turned upright from their EXIF orientation.
+async function loadImage(image) {
+  const pixels = await snapshotPixels(image);
+  if (pixels) {
+    return pixels;
+  }
+
+  const bytes = await readImageBytes(image);
+  if (!bytes) {
+    return convertToImageElement(image);
+  }
+
+  const format = detectImageFormat(bytes);
+  if (!format) {
+    throw new Error("Unrecognized image data");
+  }
+  if (!format.image) {
+    throw new Error(`Unsupported image format: ${format.name}`);
+  }
+
+  if (format.name === "GIF") {
+    const animation = decodeGIF(bytes);
+    if (animation.frames.length > 1) {
+      return animation;
+    }
+  }
+
+  if (format.name === "PNG" && isAnimatedPNG(bytes)) {
+    const animation = await decodePNGAsync(bytes, inflate);
+    if (animation.frames?.length > 1) {
+      return animation;
+    }
+  }
+
+  const blob = new Blob([bytes], { type: format.type });
+  try {
+    // Rotated photos are decoded upright into a canvas up front, since
+    // bitmaps made from image elements later don't all keep the orientation
+    if (readOrientation(bytes) !== 1) {
+      const bitmap = await createImageBitmap(blob, {
+        imageOrientation: "from-image",
+      });
+      const canvas = drawToCanvas(bitmap, bitmap.width, bitmap.height);
+      bitmap.close();
+      return canvas;
+    }
+    return await blobToImageElement(blob);
+  } catch {
+    throw new Error(`Failed to decode ${format.name} image`);
+  }
+}
+
+// Draws the image cropped, rotated clockwise and then flipped onto a new canvas
+function drawTransformed(image, width, height, transform) {
+  const {
+    crop = { x: 0, y: 0, width, height },
+    rotate = 0,
+    flipHorizontal = false,
+    flipVertical = false,
+  } = transform;
+  const turned = rotate === 90 || rotate === 270;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = turned ? crop.height : crop.width;
+  canvas.height = turned ? crop.width : crop.height;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.scale(flipHorizontal ? -1 : 1, flipVertical ? -1 : 1);
+  ctx.rotate((rotate * Math.PI) / 180);
+  ctx.drawImage(
+    image,
+    crop.x,
+    crop.y,
+    crop.width,
+    crop.height,
+    -crop.width / 2,
+    -crop.height / 2,
+    crop.width,
+    crop.height
+  );
+  return canvas;
+}
+
+// Applies the crop, rotate and flip options of fromImage()
+function transformSource(image, width, height, transform) {
+  if (image.frames) {
+    return transformImageData(
+      { ...image, data: image.frames[0].data },
+      transform
+    );
+  }
+  return drawTransformed(image, width, height, transform);
+}
+
+// Wraps a MediaStream in a muted, inline video element so it can be drawn
+function streamToVideoElement(stream) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  return video;
+}
+
+// Resolves once the video knows its size and has a frame to draw
+function waitForVideoFrame(video) {
+  if (video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    video.addEventListener("loadeddata", () => resolve(), { once: true });
+    video.addEventListener(
+      "error",
+      () => reject(new Error("Failed to load video")),
+      { once: true }
+    );
+  });
+}
+
 function blobToImageElement(blob) {
   const url = URL.createObjectURL(blob);
   const img = document.createElement("img");
@@ -32,16 +262,6 @@ function blobToImageElement(blob) {
   });
 }
 
-function dataURLToImageElement(dataUrl) {
-  const img = new Image();
-  img.src = dataUrl;
-
-  return new Promise((resolve, reject) => {
-    img.onload = () => resolve(img);
-    img.onerror = (error) => reject(error);
-  });
-}
-
 function imageUrlToImageElement(imageUrl) {
   const img = new Image();
   img.crossOrigin = "anonymous";
@@ -53,98 +273,266 @@ function imageUrlToImageElement(imageUrl) {
   });
 }
 
-function arrayBufferToImageElement(arrayBuffer) {
-  const blob = new Blob([arrayBuffer], { type: "image/png" });
-  return blobToImageElement(blob);
+function resolveEncodeOptions(options = {}) {
+  const type = (options.type || "image/png").toLowerCase();
+  const { quality } = options;
+
+  if (
+    quality !== undefined &&
+    (typeof quality !== "number" || quality < 0 || quality > 1)
+  ) {
+    throw new Error("Quality must be a number between 0 and 1");
+  }
+
+  return { type, quality };
+}
+
+// Browsers fall back to PNG for types they can't encode, so the result is
+// checked to avoid handing back a mislabeled file
+function unsupportedEncodeType(type) {
+  return new Error(`Encoding to ${type} is not supported by this browser`);
 }
 
-function canvasToBlob(canvas) {
+function canvasToBlob(canvas, options) {
+  const { type, quality } = resolveEncodeOptions(options);
+
   return new Promise((resolve, reject) => {
-    canvas.toBlob((blob) => {
-      if (blob) {
-        resolve(blob);
-      } else {
-        reject(new Error("Canvas to Blob conversion failed"));
-      }
-    }, "image/png");
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error("Canvas to Blob conversion failed"));
+        } else if (blob.type !== type) {
+          reject(unsupportedEncodeType(type));
+        } else {
+          resolve(blob);
+        }
+      },
+      type,
+      quality
+    );
   });
 }
 
-function canvasToDataURL(canvas) {
-  return canvas.toDataURL("image/png");
+function canvasToDataURL(canvas, options) {
+  const { type, quality } = resolveEncodeOptions(options);
+  const dataURL = canvas.toDataURL(type, quality);
+
+  if (!dataURL.startsWith(`data:${type};`)) {
+    throw unsupportedEncodeType(type);
+  }
+  return dataURL;
 }
 
-function canvasToArrayBuffer(canvas) {
-  return new Promise((resolve, reject) => {
-    canvas.toBlob((blob) => {
-      if (blob) {
-        resolve(blob.arrayBuffer());
-      } else {
-        reject(new Error("Canvas to Blob conversion failed"));
-      }
-    });
-  });
+async function canvasToArrayBuffer(canvas, options) {
+  const blob = await canvasToBlob(canvas, options);
+  return blob.arrayBuffer();
+}
+
+function closeUnderlays(underlays) {
+  for (const underlay of underlays) {
+    if (underlay instanceof ImageBitmap) underlay.close();
+  }
+}
+
+function closeResult(result) {
+  result.layer?.close();
+  result.maskLayer?.close();
+  for (const region of result.regions || []) {
+    region.bitmap?.close();
+  }
 }
 
 export class Pixyelator {
-  constructor(imageElement, options = {}) {
-    this._imageElement = imageElement;
-    this._width = imageElement.naturalWidth;
-    this._height = imageElement.naturalHeight;
+  /**
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|Object} image - An image, canvas or video element, or decoded animation frames ({ width, height, frames: [{ data, delay }] })
+   * @param {Object} [options={}] - Same options as fromImage()
+   */
+  constructor(image, options = {}) {
+    if (image instanceof HTMLImageElement) {
+      this._source = image;
+      this._width = image.naturalWidth;
+      this._height = image.naturalHeight;
+      this._frames = null;
+    } else if (image instanceof HTMLCanvasElement) {
+      this._source = image;
+      this._width = image.width;
+      this._height = image.height;
+      this._frames = null;
+    } else if (image instanceof HTMLVideoElement) {
+      this._source = image;
+      this._width = image.videoWidth;
+      this._height = image.videoHeight;
+      this._frames = null;
+    } else {
+      this._source = null;
+      this._width = image.width;
+      this._height = image.height;
+      this._frames = image.frames.map(({ data, delay }) => ({
+        imageData: new ImageData(
+          new Uint8ClampedArray(data),
+          image.width,
+          image.height
+        ),
+        delay,
+      }));
+    }
+    this._pixelatedFrames = null;
     this._canvas = options.targetCanvas || document.createElement("canvas");
+    this._supersede = options.supersede || false;
+    this._latestController = null;
+    this._blocks = null;
+    // Settings and state of the start() loop for video sources
+    this._live = null;
+    this._ownsVideo = false;
     this._isDisposed = false;
   }
 
+  /**
+   * Configure the worker pool shared by all instances
+   * @param {Object} [options={}] - Pool options
+   * @param {number} [options.size] - Maximum number of workers, defaults to navigator.hardwareConcurrency
+   */
+  static configureWorkerPool(options = {}) {
+    if (options.size !== undefined) {
+      validatePoolSize(options.size);
+      getWorkerPool().resize(options.size);
+    }
+  }
+
+  /**
+   * Start all pool workers now so the first pixelate() calls don't wait for them
+   * @param {Object} [options={}] - Pool options, as in configureWorkerPool()
+   */
+  static warmUpWorkerPool(options = {}) {
+    Pixyelator.configureWorkerPool(options);
+    getWorkerPool().warmUp();
+  }
+
+  /**
+   * Stop all pool workers. Pending pixelations are rejected; later calls start
+   * workers again.
+   */
+  static terminateWorkerPool() {
+    workerPool?.terminate();
+  }
+
   static async fromImage(imageSource, options = {}) {
-    const imageElement = await convertToImageElement(imageSource);
+    const image = await loadImage(imageSource);
 
-    if (!imageElement) {
+    if (!image) {
       throw new Error("Failed to load image");
     }
 
-    if (imageElement.naturalWidth === 0 || imageElement.naturalHeight === 0) {
+    const width =
+      image instanceof HTMLImageElement ? image.naturalWidth : image.width;
+    const height =
+      image instanceof HTMLImageElement ? image.naturalHeight : image.height;
+    if (width === 0 || height === 0) {
       throw new Error("Invalid image dimensions");
     }
 
-    return new Pixyelator(imageElement, options);
+    const transform = resolveSourceTransform(options, width, height);
+    return new Pixyelator(
+      transform ? transformSource(image, width, height, transform) : image,
+      options
+    );
   }
 
   /**
-   * Pixelate the image and write to the target canvas
-   * @param {number} xPixels - Number of horizontal pixels/blocks
-   * @param {number} yPixels - Number of vertical pixels/blocks
+   * Create a Pixyelator instance that pixelates a video or MediaStream, such
+   * as a webcam or screen share, frame by frame with start()
+   * @param {HTMLVideoElement|MediaStream} videoSource - Video element or stream to pixelate
+   * @param {Object} [options={}] - Same options as fromImage()
+   * @returns {Promise<Pixyelator>} Promise resolving to a new Pixyelator instance
+   */
+  static async fromVideo(videoSource, options = {}) {
+    let video;
+    if (videoSource instanceof HTMLVideoElement) {
+      video = videoSource;
+    } else if (
+      typeof MediaStream !== "undefined" &&
+      videoSource instanceof MediaStream
+    ) {
+      video = streamToVideoElement(videoSource);
+      await video.play();
+    } else {
+      throw new Error("Unsupported video type");
+    }
+
+    await waitForVideoFrame(video);
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+      throw new Error("Invalid video dimensions");
+    }
+
+    const pixyelator = new Pixyelator(video, options);
+    pixyelator._ownsVideo = video !== videoSource;
+    return pixyelator;
+  }
+
+  /**
+   * Pixelate the image and write to the target canvas. Give only one of the
+   * counts (the other as null or undefined) to keep blocks square.
+   * @param {number} [xPixels] - Number of horizontal pixels/blocks
+   * @param {number} [yPixels] - Number of vertical pixels/blocks
    * @param {Object} [options={}] - Pixelation options
-   * @param {boolean} [options.grayscale] - Whether to convert the image to grayscale
+   * @param {boolean} [options.grayscale] - Whether to convert the image to grayscale, shorthand for a grayscale filter after all others
+   * @param {Array<string|Object>} [options.filters] - Color filters ({ type, stage, ... }) run in order on source pixels (stage "before") or block colors (stage "after")
+   * @param {string} [options.sampling="mean"] - How each block's color is picked: "mean", "median", "dominant", "center", "brightest" or "darkest"
+   * @param {string} [options.colorSpace="srgb"] - Average blocks (and compute grayscale) on gamma-encoded "srgb" values or in "linear" light
+   * @param {string} [options.alphaMode="average"] - How transparency is handled: "average" (alpha-weighted), "threshold" (fully opaque or transparent) or "flatten" (composited onto background)
+   * @param {number} [options.alphaThreshold=128] - Lowest block alpha kept opaque in "threshold" mode
+   * @param {string|number[]} [options.background="#ffffff"] - Color blocks are flattened onto in "flatten" mode
+   * @param {string|Array<string|number[]>} [options.palette] - Palette to snap block colors to: a color array, a named palette, or "auto"
+   * @param {number} [options.paletteSize=16] - Number of colors generated when palette is "auto"
+   * @param {string} [options.colorDistance="rgb"] - Nearest-color metric, "rgb" or "ciede2000"
+   * @param {string} [options.dither] - Dithering at block resolution: "floyd-steinberg", "atkinson", "bayer2", "bayer4" or "bayer8"
+   * @param {string} [options.shape="square"] - Cell shape: "square", "hexagon", "circle" or "halftone"
+   * @param {string|number[]} [options.shapeBackground] - Color behind shaped cells, transparent by default
+   * @param {boolean|Object} [options.gridLines] - Lines between cells: true, or { width, color, opacity }
+   * @param {boolean|number|Object} [options.cellGap] - Gaps around cells: true, a width, or { width, color, opacity, radius }
+   * @param {number} [options.scale] - Render each block as a scale by scale square instead of at the image's natural size
+   * @param {string|Object} [options.outputSize="natural"] - "natural", "grid" (one pixel per block) or a { width, height } box to fit the image into
+   * @param {AbortSignal} [options.signal] - Cancels the pixelation, rejecting with an AbortError
+   * @param {Function} [options.onProgress] - Called with the fraction (0 to 1) of block rows finished, throttled
+   * @param {Array<Object>} [options.regions] - Rectangles (in source pixels) to pixelate, leaving the rest of the image untouched
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData|Uint8Array} [options.mask] - Image-sized mask of the areas to pixelate (light or opaque areas), or one alpha value per pixel
+   * @param {number} [options.feather=0] - Blur radius, in source pixels, that softens the mask's edges
+   * @param {boolean} [options.invertMask=false] - Pixelate everything except the masked areas
+   * @param {string} [options.oversize="error"] - What to do with more blocks than pixels: "error", "clamp" to the image size, or "upsample" into a nearest-neighbour grid
    * @returns {Promise & ChainableMethods} Promise with chainable output methods
    */
   pixelate(xPixels, yPixels, options = {}) {
     if (this._isDisposed) {
       throw new Error("Cannot operate on disposed Pixyelator instance");
     }
+    this._syncVideoSize();
 
-    if (
-      !Number.isInteger(xPixels) ||
-      !Number.isInteger(yPixels) ||
-      xPixels <= 0 ||
-      yPixels <= 0
-    ) {
-      throw new Error("Pixel dimensions must be positive integers");
-    }
-
-    if (xPixels > this._width || yPixels > this._height) {
-      throw new Error("Pixel dimensions cannot exceed image dimensions");
-    }
-
-    const pixelatePromise = this._pixelateElementToCanvas(
+    const resolved = resolvePixelateOptions(
       xPixels,
       yPixels,
+      this._width,
+      this._height,
       options
     );
 
+    const { signal, release } = this._supersede
+      ? this._supersedePrevious(options.signal)
+      : { signal: options.signal };
+
+    const pixelatePromise = this._pixelateElementToCanvas(
+      resolved.xPixels,
+      resolved.yPixels,
+      { ...resolved, signal }
+    );
+    if (release) {
+      pixelatePromise.then(release, release);
+    }
+
     const chainable = Object.assign(pixelatePromise, {
-      toBlob: async () => {
+      toBlob: async (options) => {
         await pixelatePromise;
-        return this.toBlob();
+        return this.toBlob(options);
       },
 
       toCanvas: async () => {
@@ -152,55 +540,509 @@ export class Pixyelator {
         return this.toCanvas();
       },
 
-      toDataURL: async () => {
+      toDataURL: async (options) => {
+        await pixelatePromise;
+        return this.toDataURL(options);
+      },
+
+      toArrayBuffer: async (options) => {
+        await pixelatePromise;
+        return this.toArrayBuffer(options);
+      },
+
+      toImageData: async () => {
+        await pixelatePromise;
+        return this.toImageData();
+      },
+
+      getBlocks: async () => {
         await pixelatePromise;
-        return this.toDataURL();
+        return this.getBlocks();
       },
 
-      toArrayBuffer: async () => {
+      toGIF: async (options) => {
         await pixelatePromise;
-        return this.toArrayBuffer();
+        return this.toGIF(options);
+      },
+
+      toPattern: async (options) => {
+        await pixelatePromise;
+        return this.toPattern(options);
+      },
+
+      toSVG: async (options) => {
+        await pixelatePromise;
+        return this.toSVG(options);
       },
     });
 
     return chainable;
   }
 
+  /**
+   * Pixelate the image into blocks of a given size in source pixels. The block
+   * counts are rounded, so blocks come out as close to the size as fits.
+   * @param {number} blockWidth - Width of each block
+   * @param {number} [blockHeight=blockWidth] - Height of each block, square by default
+   * @param {Object} [options={}] - Pixelation options, as in pixelate()
+   * @returns {Promise & ChainableMethods} Promise with chainable output methods
+   */
+  pixelateByBlockSize(blockWidth, blockHeight, options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    this._syncVideoSize();
+
+    const { xPixels, yPixels } = blockSizeToPixels(
+      blockWidth,
+      blockHeight,
+      this._width,
+      this._height
+    );
+    return this.pixelate(xPixels, yPixels, options);
+  }
+
+  /**
+   * Start pixelating a video source into the target canvas on every new frame.
+   * Calling it again while running switches to the new settings from the next
+   * frame on.
+   * @param {number} xPixels - Number of horizontal pixels/blocks
+   * @param {number} yPixels - Number of vertical pixels/blocks
+   * @param {Object} [options={}] - Pixelation options, as in pixelate()
+   * @param {Function} [options.onError] - Called with the error if a frame fails, which stops the loop
+   */
+  start(xPixels, yPixels, options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!(this._source instanceof HTMLVideoElement)) {
+      throw new Error("start() needs a video source, use fromVideo()");
+    }
+
+    // Checked up front so mistakes throw here rather than on a later frame
+    this._syncVideoSize();
+    resolvePixelateOptions(
+      xPixels,
+      yPixels,
+      this._width,
+      this._height,
+      options
+    );
+
+    if (this._live) {
+      Object.assign(this._live, { xPixels, yPixels, options });
+      return;
+    }
+
+    this._live = {
+      xPixels,
+      yPixels,
+      options,
+      controller: new AbortController(),
+      handle: null,
+      lastTime: -1,
+    };
+    this._scheduleFrame(this._live);
+  }
+
+  /**
+   * Stop pixelating the video. The last frame stays on the canvas.
+   */
+  stop() {
+    const live = this._live;
+    if (!live) return;
+
+    this._live = null;
+    live.controller.abort(
+      new DOMException("Video pixelation was stopped", "AbortError")
+    );
+    if (this._source?.cancelVideoFrameCallback) {
+      this._source.cancelVideoFrameCallback(live.handle);
+    } else {
+      cancelAnimationFrame(live.handle);
+    }
+  }
+
+  /**
+   * Capture the target canvas as a MediaStream, e.g. for MediaRecorder or a
+   * WebRTC call
+   * @param {number} [fps] - Maximum frame rate, defaults to a new frame on every change
+   * @returns {MediaStream} Stream of the pixelated canvas
+   */
+  toMediaStream(fps) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (fps !== undefined && (typeof fps !== "number" || !(fps >= 0))) {
+      throw new Error("Frame rate must be a non-negative number");
+    }
+    if (!this._canvas.captureStream) {
+      throw new Error("Canvas capture is not supported by this browser");
+    }
+    return fps === undefined
+      ? this._canvas.captureStream()
+      : this._canvas.captureStream(fps);
+  }
+
+  // Video sources can change size mid-stream, e.g. when a shared window is
+  // resized
+  _syncVideoSize() {
+    if (this._source instanceof HTMLVideoElement) {
+      this._width = this._source.videoWidth;
+      this._height = this._source.videoHeight;
+    }
+  }
+
+  _scheduleFrame(live) {
+    const video = this._source;
+    const render = () => this._renderFrame(live);
+
+    // requestVideoFrameCallback fires once per new video frame; without it,
+    // animation frames are used and unchanged frames are skipped
+    live.handle = video.requestVideoFrameCallback
+      ? video.requestVideoFrameCallback(render)
+      : requestAnimationFrame(render);
+  }
+
+  async _renderFrame(live) {
+    if (this._live !== live) return;
+
+    const video = this._source;
+    const isNewFrame =
+      video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA &&
+      video.videoWidth > 0 &&
+      ("requestVideoFrameCallback" in video ||
+        video.currentTime !== live.lastTime);
+
+    if (isNewFrame) {
+      live.lastTime = video.currentTime;
+      const { xPixels, yPixels, options } = live;
+
+      try {
+        this._syncVideoSize();
+        const resolved = resolvePixelateOptions(
+          xPixels,
+          yPixels,
+          this._width,
+          this._height,
+          options
+        );
+        await this._pixelateElementToCanvas(
+          resolved.xPixels,
+          resolved.yPixels,
+          { ...resolved, signal: live.controller.signal }
+        );
+      } catch (error) {
+        if (this._live !== live) return;
+        this.stop();
+        options.onError?.(error);
+        return;
+      }
+    }
+
+    if (this._live === live) {
+      this._scheduleFrame(live);
+    }
+  }
+
+  // Aborts the previous call and returns a signal for the new one that also
+  // follows the caller's own signal, plus a release() that stops following it
+  // once the call settles, so long-lived signals don't collect listeners.
+  _supersedePrevious(signal) {
+    this._latestController?.abort(
+      new DOMException("Superseded by a newer pixelate() call", "AbortError")
+    );
+
+    const controller = new AbortController();
+    this._latestController = controller;
+
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      release: () => signal?.removeEventListener("abort", onAbort),
+    };
+  }
+
   async _pixelateElementToCanvas(xPixels, yPixels, options = {}) {
+    const { output, signal, onProgress } = options;
+    const sources = this._frames
+      ? this._frames.map(({ imageData }) => imageData)
+      : [this._source];
+
+    signal?.throwIfAborted();
+
+    // Every frame goes through the pool at once; progress is their average
+    const frameProgress = sources.map(() => 0);
+    const settled = await Promise.allSettled(
+      sources.map((source, i) =>
+        this._runWorker(source, xPixels, yPixels, {
+          ...options,
+          onProgress:
+            onProgress &&
+            ((progress) => {
+              frameProgress[i] = progress;
+              onProgress(
+                frameProgress.reduce((sum, value) => sum + value, 0) /
+                  sources.length
+              );
+            }),
+        })
+      )
+    );
+
+    // When one frame fails, the others' bitmaps are freed before rethrowing
+    const rejected = settled.find(({ status }) => status === "rejected");
+    if (rejected) {
+      for (const { status, value } of settled) {
+        if (status === "fulfilled") closeResult(value);
+      }
+      throw rejected.reason;
+    }
+    const results = settled.map(({ value }) => value);
+
+    // Frames need their own copy of the original under unpixelated areas
+    const underlays =
+      this._frames && (options.regions || options.mask)
+        ? await Promise.all(sources.map((source) => createImageBitmap(source)))
+        : [this._source];
+
+    // Nothing is painted until the result is in, so a cancelled or
+    // superseded call never touches the canvas
+    if (signal?.aborted || this._isDisposed) {
+      for (const result of results) {
+        closeResult(result);
+      }
+      closeUnderlays(underlays);
+      if (this._isDisposed) {
+        throw new Error("Cannot operate on disposed Pixyelator instance");
+      }
+      throw abortReason(signal);
+    }
+
+    const failed = results.find((result) => !result.success);
+    if (failed) {
+      for (const result of results) {
+        closeResult(result);
+      }
+      closeUnderlays(underlays);
+      throw new Error(failed.error);
+    }
+
+    // Resizing always clears the canvas, so it is skipped for same-sized
+    // video frames
     const canvas = this._canvas;
-    canvas.width = this._width;
-    canvas.height = this._height;
+    if (canvas.width !== output.width || canvas.height !== output.height) {
+      canvas.width = output.width;
+      canvas.height = output.height;
+    }
     const ctx = canvas.getContext("2d");
+
+    if (this._frames) {
+      // Each frame is painted and read back for toGIF(), then the first one
+      // is left on the canvas
+      this._pixelatedFrames = [];
+      for (const [i, result] of results.entries()) {
+        this._paint(ctx, result, underlays[i], options);
+        this._pixelatedFrames.push({
+          data: ctx.getImageData(0, 0, output.width, output.height).data,
+          delay: this._frames[i].delay,
+        });
+      }
+      closeUnderlays(underlays);
+      ctx.putImageData(
+        new ImageData(
+          this._pixelatedFrames[0].data,
+          output.width,
+          output.height
+        ),
+        0,
+        0
+      );
+    } else {
+      this._paint(ctx, results[0], this._source, options);
+    }
+
+    this._blocks = {
+      hasRegions: !!options.regions,
+      usesLayer: usesLayer(options),
+      grids: results[0].regions.map(({ bitmap, ...grid }) => grid),
+    };
+  }
+
+  async _runWorker(source, xPixels, yPixels, options) {
+    const { output, signal, onProgress } = options;
     const grayscale = options.grayscale || false;
+    const {
+      regions,
+      sampling,
+      colorSpace,
+      alphaMode,
+      alphaThreshold,
+      background,
+      palette,
+      paletteSize,
+      colorDistance,
+      dither,
+      shape,
+      shapeBackground,
+      gridLines,
+      cellGap,
+      oversize,
+      feather,
+      invertMask,
+      filters,
+    } = options;
 
-    const imageBitmap = await createImageBitmap(this._imageElement);
+    const imageBitmap = await createImageBitmap(source);
+    // Image and canvas masks go to the worker as a bitmap of their own, since
+    // it is transferred; alpha arrays and pixel data (ImageData or a plain
+    // { width, height, data }) are copied as they are
+    const mask =
+      options.mask &&
+      !ArrayBuffer.isView(options.mask) &&
+      !Array.isArray(options.mask) &&
+      !options.mask.data
+        ? await createImageBitmap(options.mask)
+        : options.mask;
+    const transfer =
+      mask instanceof ImageBitmap ? [imageBitmap, mask] : [imageBitmap];
 
-    const tinyBitmap = await new Promise((resolve, reject) => {
-      const worker = new Worker(new URL("rgbaWorker.js", import.meta.url));
+    if (signal?.aborted) {
+      for (const bitmap of transfer) {
+        bitmap.close();
+      }
+      throw abortReason(signal);
+    }
 
-      worker.onmessage = (e) => {
-        worker.terminate();
-        if (e.data.success) {
-          resolve(e.data.bitmap);
-        } else {
-          reject(new Error(e.data.error));
-        }
-      };
+    return getWorkerPool().run(
+      [
+        imageBitmap,
+        xPixels,
+        yPixels,
+        {
+          grayscale,
+          regions,
+          sampling,
+          colorSpace,
+          alphaMode,
+          alphaThreshold,
+          background,
+          palette,
+          paletteSize,
+          colorDistance,
+          dither,
+          shape,
+          shapeBackground,
+          gridLines,
+          cellGap,
+          oversize,
+          mask,
+          feather,
+          invertMask,
+          filters,
+          output,
+          reportProgress: !!onProgress,
+        },
+      ],
+      transfer,
+      {
+        signal,
+        // Reports may still be in flight when the call is cancelled
+        onProgress:
+          onProgress &&
+          ((progress) => {
+            if (!signal?.aborted) onProgress(progress);
+          }),
+      }
+    );
+  }
 
-      worker.onerror = (err) => {
-        worker.terminate();
-        reject(err);
-      };
+  // Draws one worker result, with the original image underneath when only
+  // some regions were pixelated
+  _paint(ctx, result, underlay, options) {
+    const { output, regions } = options;
 
-      worker.postMessage(
-        [imageBitmap, xPixels, yPixels, grayscale],
-        [imageBitmap]
+    ctx.clearRect(0, 0, output.width, output.height);
+    if (regions) {
+      // The canvas may be reused without a resize, which would have reset this
+      ctx.imageSmoothingEnabled = true;
+      ctx.drawImage(
+        underlay,
+        output.x,
+        output.y,
+        output.drawWidth,
+        output.drawHeight
       );
-    });
+    }
 
     ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(tinyBitmap, 0, 0, this._width, this._height);
-    tinyBitmap.close();
+    const scaleX = output.drawWidth / this._width;
+    const scaleY = output.drawHeight / this._height;
+
+    if (regions) {
+      // Regions replace the pixels under them, like renderBlocks() in core.js
+      for (const region of result.regions) {
+        const x = output.x + region.x * scaleX;
+        const y = output.y + region.y * scaleY;
+        const left = Math.round(x);
+        const top = Math.round(y);
+        ctx.clearRect(
+          left,
+          top,
+          Math.round(x + region.width * scaleX) - left,
+          Math.round(y + region.height * scaleY) - top
+        );
+      }
+    }
+
+    if (result.layer) {
+      // Shapes, gaps and grid lines come back as one layer already at output size
+      ctx.drawImage(result.layer, output.x, output.y);
+      result.layer.close();
+    } else {
+      for (const region of result.regions) {
+        ctx.drawImage(
+          region.bitmap,
+          output.x + region.x * scaleX,
+          output.y + region.y * scaleY,
+          region.width * scaleX,
+          region.height * scaleY
+        );
+        region.bitmap.close();
+      }
+    }
+
+    if (result.maskLayer) {
+      // The original goes back on top, cut out by the inverse of the mask, so
+      // the pixelation only shows where the mask is
+      const cutout = document.createElement("canvas");
+      cutout.width = output.width;
+      cutout.height = output.height;
+      const cutoutCtx = cutout.getContext("2d");
+      cutoutCtx.drawImage(
+        underlay,
+        output.x,
+        output.y,
+        output.drawWidth,
+        output.drawHeight
+      );
+      cutoutCtx.globalCompositeOperation = "destination-in";
+      cutoutCtx.drawImage(
+        result.maskLayer,
+        output.x,
+        output.y,
+        output.drawWidth,
+        output.drawHeight
+      );
+      result.maskLayer.close();
+      ctx.drawImage(cutout, 0, 0);
+    }
   }
 
   /**
@@ -216,35 +1058,135 @@ export class Pixyelator {
 
   /**
    * Convert the pixelated image to a Blob
+   * @param {Object} [options={}] - Encoding options
+   * @param {string} [options.type="image/png"] - Image MIME type, e.g. "image/jpeg", "image/webp" or "image/avif"
+   * @param {number} [options.quality] - Quality from 0 to 1 for lossy types
    * @returns {Promise<Blob>} Promise resolving to a Blob containing the image data
    */
-  async toBlob() {
+  async toBlob(options) {
     if (this._isDisposed) {
       throw new Error("Cannot operate on disposed Pixyelator instance");
     }
-    return canvasToBlob(this._canvas);
+    return canvasToBlob(this._canvas, options);
   }
 
   /**
    * Convert the pixelated image to a data URL
+   * @param {Object} [options={}] - Encoding options, as in toBlob()
    * @returns {string} Data URL string containing the image data
    */
-  toDataURL() {
+  toDataURL(options) {
     if (this._isDisposed) {
       throw new Error("Cannot operate on disposed Pixyelator instance");
     }
-    return canvasToDataURL(this._canvas);
+    return canvasToDataURL(this._canvas, options);
   }
 
   /**
    * Convert the pixelated image to an ArrayBuffer
+   * @param {Object} [options={}] - Encoding options, as in toBlob()
    * @returns {Promise<ArrayBuffer>} Promise resolving to an ArrayBuffer containing the image data
    */
-  async toArrayBuffer() {
+  async toArrayBuffer(options) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    return canvasToArrayBuffer(this._canvas, options);
+  }
+
+  /**
+   * Get the pixel data of the pixelated image
+   * @returns {ImageData} ImageData read back from the canvas
+   */
+  toImageData() {
     if (this._isDisposed) {
       throw new Error("Cannot operate on disposed Pixyelator instance");
     }
-    return canvasToArrayBuffer(this._canvas);
+    return this._canvas
+      .getContext("2d")
+      .getImageData(0, 0, this._canvas.width, this._canvas.height);
+  }
+
+  /**
+   * Encode the pixelated image as a GIF. Animated GIFs keep all of their
+   * frames and their timing.
+   * @param {Object} [options={}] - GIF options
+   * @param {string} [options.palette="local"] - "local" for a palette per frame, or "global" for one shared palette
+   * @param {number} [options.loop=0] - Times to play the animation, 0 for forever
+   * @returns {Promise<Blob>} Promise resolving to a Blob containing the GIF
+   */
+  async toGIF(options) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    const { width, height } = this._canvas;
+    const frames = this._pixelatedFrames || [
+      { data: this.toImageData().data, delay: 0 },
+    ];
+    const bytes = encodeGIF({ width, height, frames }, options);
+    return new Blob([bytes], { type: "image/gif" });
+  }
+
+  /**
+   * Get the block colors of the last pixelation, straight from the worker
+   * @returns {Object|Array<Object>} The block grid ({ xPixels, yPixels, colors, rects }), or one grid per region when pixelated with regions
+   */
+  getBlocks() {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._blocks) {
+      throw new Error("No blocks available, call pixelate() first");
+    }
+    return copyBlocks(this._blocks);
+  }
+
+  /**
+   * Chart the pixelated block grid as a cross-stitch or bead pattern
+   * @param {Object} [options={}] - Pattern options
+   * @param {string|Array<Object>} [options.palette="dmc"] - "dmc", "perler", or a list of { code, name, color }
+   * @param {string} [options.colorDistance="ciede2000"] - Metric used to match blocks to the palette, "rgb" or "ciede2000"
+   * @param {number} [options.cellSize=12] - Size of each chart cell in SVG units
+   * @returns {{ svg: string, json: string }} The printable SVG chart and the same pattern as JSON
+   */
+  toPattern(options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._blocks) {
+      throw new Error("No blocks available, call pixelate() first");
+    }
+    if (this._blocks.hasRegions) {
+      throw new Error("Patterns can't be made from a pixelation with regions");
+    }
+    return createPattern(this._blocks.grids[0], options);
+  }
+
+  /**
+   * Draw the pixelated blocks as a vector SVG that stays sharp at any size
+   * @param {Object} [options={}] - SVG options
+   * @param {number} [options.scale=1] - Multiplier for the SVG's width and height, relative to the source image
+   * @param {string} [options.merge="runs"] - "none" for a rect per block, "runs" to merge same-colored neighbours into rects, "regions" for one path per color
+   * @param {boolean} [options.crispEdges=true] - Add a crispEdges rendering hint so block edges aren't antialiased
+   * @param {boolean} [options.omitTransparent=true] - Leave out fully transparent blocks
+   * @returns {string} SVG markup
+   */
+  toSVG(options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._blocks) {
+      throw new Error("No blocks available, call pixelate() first");
+    }
+    if (this._blocks.hasRegions) {
+      throw new Error("SVGs can't be made from a pixelation with regions");
+    }
+    if (this._blocks.usesLayer) {
+      throw new Error(
+        "SVGs can't be made from a pixelation with shapes, grid lines or cell gaps"
+      );
+    }
+    return renderSVG(this._blocks.grids[0], this._width, this._height, options);
   }
 
   /**
@@ -253,8 +1195,23 @@ export class Pixyelator {
   dispose() {
     if (this._isDisposed) return;
 
-    this._imageElement = null;
+    this._latestController?.abort(
+      new DOMException("Pixyelator instance was disposed", "AbortError")
+    );
+    this.stop();
+
+    // Video elements made for a MediaStream are ours to clean up; the
+    // stream's tracks belong to the caller
+    if (this._ownsVideo) {
+      this._source.pause();
+      this._source.srcObject = null;
+    }
+
+    this._source = null;
+    this._frames = null;
+    this._pixelatedFrames = null;
     this._canvas = null;
+    this._blocks = null;
 
     this._isDisposed = true;
   }
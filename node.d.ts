@@ -0,0 +1,235 @@
+import type {
+  BlockGrid,
+  GIFOptions,
+  Pattern,
+  PatternOptions,
+  PixelateOptions,
+  SourceTransformOptions,
+  SVGOptions,
+} from "./index";
+
+export type {
+  BlockGrid,
+  ColorFilter,
+  DitherMode,
+  GIFOptions,
+  NamedPalette,
+  OutputSize,
+  FilterStage,
+  OversizePolicy,
+  PixelateMask,
+  PaletteColor,
+  Pattern,
+  PatternColor,
+  PatternData,
+  PatternLegendEntry,
+  PatternOptions,
+  PixelateOptions,
+  PixelateRegion,
+  SamplingMode,
+  SourceTransformOptions,
+  SVGOptions,
+} from "./index";
+
+/**
+ * A plain RGBA buffer, 4 bytes per pixel, row by row
+ */
+export interface RGBAImage {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray | Uint8Array;
+  /**
+   * Every frame of an animated image, composited to full size, with its delay
+   * in milliseconds. `data` holds the first frame.
+   */
+  frames?: Array<{ data: Uint8ClampedArray | Uint8Array; delay: number }>;
+}
+
+/**
+ * Decoder and encoder used to read and write encoded images
+ */
+export interface ImageCodec {
+  /**
+   * Decode image bytes into an RGBA buffer
+   */
+  decode(bytes: Uint8Array): RGBAImage | Promise<RGBAImage>;
+
+  /**
+   * Encode an RGBA buffer into image bytes
+   */
+  encode(image: RGBAImage): Uint8Array | Promise<Uint8Array>;
+}
+
+/**
+ * Supported image sources in Node: a file path, encoded bytes, a fetch
+ * Response, or an RGBA buffer
+ */
+export type NodeImageSource =
+  | string
+  | ArrayBuffer
+  | ArrayBufferView
+  | Response
+  | RGBAImage;
+
+/**
+ * Configuration options for creating a Node Pixyelator instance
+ */
+export interface NodePixyelatorOptions extends SourceTransformOptions {
+  /**
+   * Codec used to decode inputs and encode outputs. Decoders should return
+   * pixels as stored; EXIF orientation is applied afterwards
+   * @default pngCodec
+   */
+  codec?: ImageCodec;
+}
+
+/**
+ * Chainable methods available on the promise returned by pixelate()
+ */
+export interface NodePixelateChainable {
+  /**
+   * Get the pixels of the pixelated image
+   */
+  toImageData(): Promise<RGBAImage>;
+
+  /**
+   * Get the block colors and source rectangles of the pixelation
+   */
+  getBlocks(): Promise<BlockGrid | BlockGrid[]>;
+
+  /**
+   * Encode the pixelated image with the instance's codec
+   */
+  toBuffer(): Promise<Buffer>;
+
+  /**
+   * Encode the pixelated image to an ArrayBuffer
+   */
+  toArrayBuffer(): Promise<ArrayBuffer>;
+
+  /**
+   * Encode the pixelated image as a GIF, keeping every frame of animated input
+   */
+  toGIF(options?: GIFOptions): Promise<Buffer>;
+
+  /**
+   * Chart the block grid as a cross-stitch or bead pattern
+   */
+  toPattern(options?: PatternOptions): Promise<Pattern>;
+
+  /**
+   * Draw the blocks as a vector SVG
+   */
+  toSVG(options?: SVGOptions): Promise<string>;
+}
+
+/**
+ * Promise returned by pixelate() with chainable output methods
+ */
+export type NodePixelatePromise = Promise<void> & NodePixelateChainable;
+
+/**
+ * The built-in pure-JS PNG codec
+ */
+export const pngCodec: ImageCodec;
+
+/**
+ * Pixyelator for Node and other runtimes without a DOM
+ */
+export class Pixyelator {
+  /**
+   * Creates a new Pixyelator instance
+   * @param imageData - The RGBA buffer to pixelate
+   * @param options - Configuration options
+   */
+  constructor(imageData: RGBAImage, options?: NodePixyelatorOptions);
+
+  /**
+   * Factory method to create Pixyelator instance from various image sources
+   * @param imageSource - File path, encoded bytes, a fetch Response, or an RGBA buffer
+   * @param options - Configuration options
+   * @returns Promise resolving to a new Pixyelator instance
+   * @throws Error if image fails to decode, is in a format the codec can't read, has invalid dimensions, or the crop, rotate or flip options are invalid
+   */
+  static fromImage(
+    imageSource: NodeImageSource,
+    options?: NodePixyelatorOptions
+  ): Promise<Pixyelator>;
+
+  /**
+   * Pixelate the image. Give only one count to derive the other and keep
+   * blocks square
+   * @param xPixels - Number of horizontal pixels/blocks (must be positive integer)
+   * @param yPixels - Number of vertical pixels/blocks (must be positive integer)
+   * @param options - Pixelation options, the same as in the browser
+   * @returns Promise with chainable output methods (toImageData, getBlocks, toBuffer, toArrayBuffer)
+   * @throws Error if instance is disposed, dimensions are invalid, or exceed image dimensions without an oversize policy
+   */
+  pixelate(
+    xPixels: number | null | undefined,
+    yPixels?: number | null,
+    options?: PixelateOptions
+  ): NodePixelatePromise;
+
+  /**
+   * Pixelate the image into blocks of a given size, in source pixels
+   * @param blockWidth - Width of each block (must be a positive number)
+   * @param blockHeight - Height of each block, defaults to blockWidth
+   * @param options - Pixelation options, the same as in the browser
+   * @throws Error if instance is disposed or the block sizes are invalid
+   */
+  pixelateByBlockSize(
+    blockWidth: number,
+    blockHeight?: number | null,
+    options?: PixelateOptions
+  ): NodePixelatePromise;
+
+  /**
+   * Get the pixels of the pixelated image
+   * @throws Error if instance is disposed or nothing has been pixelated yet
+   */
+  toImageData(): RGBAImage;
+
+  /**
+   * Get the block colors and source rectangles of the last pixelation
+   * @throws Error if instance is disposed or nothing has been pixelated yet
+   */
+  getBlocks(): BlockGrid | BlockGrid[];
+
+  /**
+   * Encode the pixelated image with the instance's codec
+   * @throws Error if instance is disposed or nothing has been pixelated yet
+   */
+  toBuffer(): Promise<Buffer>;
+
+  /**
+   * Encode the pixelated image to an ArrayBuffer
+   * @throws Error if instance is disposed or nothing has been pixelated yet
+   */
+  toArrayBuffer(): Promise<ArrayBuffer>;
+
+  /**
+   * Encode the pixelated image as a GIF. Animated input keeps all of its
+   * frames and their timing
+   * @throws Error if instance is disposed, nothing has been pixelated yet, or the GIF options are invalid
+   */
+  toGIF(options?: GIFOptions): Promise<Buffer>;
+
+  /**
+   * Chart the block grid as a cross-stitch or bead pattern, as an SVG and
+   * JSON
+   * @throws Error if instance is disposed, nothing has been pixelated yet, the pixelation used regions, or the palette is invalid
+   */
+  toPattern(options?: PatternOptions): Pattern;
+
+  /**
+   * Draw the blocks as a vector SVG that stays sharp at any size
+   * @throws Error if instance is disposed, nothing has been pixelated yet, the pixelation used regions, shapes, grid lines or cell gaps, or the SVG options are invalid
+   */
+  toSVG(options?: SVGOptions): string;
+
+  /**
+   * Clean up resources and dispose of the instance
+   */
+  dispose(): void;
+}
@@ -0,0 +1,402 @@
+import { readFile } from "fs/promises";
+import { deflateSync, inflateSync } from "zlib";
+import {
+  blockSizeToPixels,
+  copyBlocks,
+  orientationTransform,
+  pixelateImageData,
+  renderBlocks,
+  renderSVG,
+  resolvePixelateOptions,
+  resolveSourceTransform,
+  transformImageData,
+  usesLayer,
+} from "./core.js";
+import { readOrientation } from "./exif.js";
+import { detectImageFormat } from "./format.js";
+import { decodeGIF, encodeGIF, isGIF } from "./gif.js";
+import { createPattern } from "./pattern.js";
+import { decodePNG, encodePNG } from "./png.js";
+
+/**
+ * Built-in codec used when no other codec is given
+ */
+export const pngCodec = {
+  decode: (bytes) => decodePNG(bytes, inflateSync),
+  encode: (image) => encodePNG(image, deflateSync),
+};
+
+function isImageData(image) {
+  return (
+    image !== null &&
+    typeof image === "object" &&
+    Number.isInteger(image.width) &&
+    Number.isInteger(image.height) &&
+    ArrayBuffer.isView(image.data) &&
+    image.data.length === image.width * image.height * 4
+  );
+}
+
+// GIFs are always read by the built-in decoder, so animated input works
+// whatever codec is used for output. Other images are turned upright from
+// their EXIF orientation, so codecs should return pixels as stored.
+function decode(bytes, codec) {
+  if (isGIF(bytes)) {
+    const { width, height, frames } = decodeGIF(bytes);
+    return { width, height, data: frames[0].data, frames };
+  }
+  // Without a codec of its own, only PNGs can be read
+  if (codec === pngCodec) {
+    const format = detectImageFormat(bytes);
+    if (format && format.name !== "PNG") {
+      throw new Error(
+        `Unsupported image format: ${format.name} (pass a codec to fromImage() to read it)`
+      );
+    }
+  }
+  const image = codec.decode(bytes);
+  const transform = orientationTransform(readOrientation(bytes));
+  return transform && isImageData(image)
+    ? transformImageData(image, transform)
+    : image;
+}
+
+async function convertToImageData(image, codec) {
+  switch (true) {
+    case isImageData(image):
+      return image;
+    case typeof image === "string":
+      return decode(new Uint8Array(await readFile(image)), codec);
+    case image instanceof ArrayBuffer:
+      return decode(new Uint8Array(image), codec);
+    case ArrayBuffer.isView(image):
+      return decode(
+        new Uint8Array(image.buffer, image.byteOffset, image.byteLength),
+        codec
+      );
+    case typeof Response !== "undefined" && image instanceof Response:
+      if (!image.ok) {
+        throw new Error(`Failed to fetch image: ${image.status}`);
+      }
+      return decode(new Uint8Array(await image.arrayBuffer()), codec);
+    default:
+      throw new Error("Unsupported image type");
+  }
+}
+
+/**
+ * Pixyelator for Node and other runtimes without a DOM. It works on plain
+ * { width, height, data } RGBA buffers and uses a pluggable codec to read and
+ * write encoded images.
+ */
+export class Pixyelator {
+  constructor(imageData, options = {}) {
+    this._source = imageData;
+    this._width = imageData.width;
+    this._height = imageData.height;
+    this._codec = options.codec || pngCodec;
+    // Animated images (GIF, APNG) keep every frame and pixelate them all
+    this._frames = imageData.frames?.length > 1 ? imageData.frames : null;
+    this._output = null;
+    this._outputFrames = null;
+    this._blocks = null;
+    this._isDisposed = false;
+  }
+
+  static async fromImage(imageSource, options = {}) {
+    const imageData = await convertToImageData(
+      imageSource,
+      options.codec || pngCodec
+    );
+
+    if (!isImageData(imageData)) {
+      throw new Error("Failed to load image");
+    }
+
+    if (imageData.width === 0 || imageData.height === 0) {
+      throw new Error("Invalid image dimensions");
+    }
+
+    const transform = resolveSourceTransform(
+      options,
+      imageData.width,
+      imageData.height
+    );
+    return new Pixyelator(
+      transform ? transformImageData(imageData, transform) : imageData,
+      options
+    );
+  }
+
+  /**
+   * Pixelate the image. Takes the same options as the browser version.
+   * @param {number} [xPixels] - Number of horizontal pixels/blocks, derived from yPixels when missing
+   * @param {number} [yPixels] - Number of vertical pixels/blocks, derived from xPixels when missing
+   * @param {Object} [options={}] - Pixelation options
+   * @returns {Promise & ChainableMethods} Promise with chainable output methods
+   */
+  pixelate(xPixels, yPixels, options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+
+    const resolved = resolvePixelateOptions(
+      xPixels,
+      yPixels,
+      this._width,
+      this._height,
+      options
+    );
+
+    const pixelatePromise = this._pixelateImageData(
+      resolved.xPixels,
+      resolved.yPixels,
+      resolved
+    );
+
+    const chainable = Object.assign(pixelatePromise, {
+      toImageData: async () => {
+        await pixelatePromise;
+        return this.toImageData();
+      },
+
+      getBlocks: async () => {
+        await pixelatePromise;
+        return this.getBlocks();
+      },
+
+      toBuffer: async () => {
+        await pixelatePromise;
+        return this.toBuffer();
+      },
+
+      toArrayBuffer: async () => {
+        await pixelatePromise;
+        return this.toArrayBuffer();
+      },
+
+      toGIF: async (gifOptions) => {
+        await pixelatePromise;
+        return this.toGIF(gifOptions);
+      },
+
+      toPattern: async (patternOptions) => {
+        await pixelatePromise;
+        return this.toPattern(patternOptions);
+      },
+
+      toSVG: async (svgOptions) => {
+        await pixelatePromise;
+        return this.toSVG(svgOptions);
+      },
+    });
+
+    return chainable;
+  }
+
+  /**
+   * Pixelate the image into blocks of a given size in source pixels
+   * @param {number} blockWidth - Width of each block
+   * @param {number} [blockHeight=blockWidth] - Height of each block, square by default
+   * @param {Object} [options={}] - Pixelation options
+   * @returns {Promise & ChainableMethods} Promise with chainable output methods
+   */
+  pixelateByBlockSize(blockWidth, blockHeight, options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    const { xPixels, yPixels } = blockSizeToPixels(
+      blockWidth,
+      blockHeight,
+      this._width,
+      this._height
+    );
+    return this.pixelate(xPixels, yPixels, options);
+  }
+
+  async _pixelateImageData(xPixels, yPixels, options) {
+    options.signal?.throwIfAborted();
+
+    if (this._frames) {
+      const { onProgress } = options;
+      const frameCount = this._frames.length;
+
+      const outputs = this._frames.map((frame, i) => {
+        const source = { width: this._width, height: this._height, ...frame };
+        const grids = pixelateImageData(source, xPixels, yPixels, {
+          ...options,
+          onProgress:
+            onProgress &&
+            ((progress) => onProgress((i + progress) / frameCount)),
+        });
+        return { grids, image: renderBlocks(source, grids, options) };
+      });
+
+      this._output = outputs[0].image;
+      this._outputFrames = outputs.map(({ image }, i) => ({
+        data: image.data,
+        delay: this._frames[i].delay,
+      }));
+      this._blocks = {
+        hasRegions: !!options.regions,
+        usesLayer: usesLayer(options),
+        grids: outputs[0].grids,
+      };
+      return;
+    }
+
+    const grids = pixelateImageData(this._source, xPixels, yPixels, options);
+
+    this._output = renderBlocks(this._source, grids, options);
+    this._blocks = {
+      hasRegions: !!options.regions,
+      usesLayer: usesLayer(options),
+      grids,
+    };
+  }
+
+  /**
+   * Get the pixels of the pixelated image
+   * @returns {{ width: number, height: number, data: Uint8ClampedArray }} The pixelated RGBA buffer
+   */
+  toImageData() {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._output) {
+      throw new Error("No image available, call pixelate() first");
+    }
+    return {
+      width: this._output.width,
+      height: this._output.height,
+      data: this._output.data.slice(),
+    };
+  }
+
+  /**
+   * Get the block colors of the last pixelation
+   * @returns {Object|Array<Object>} The block grid ({ xPixels, yPixels, colors, rects }), or one grid per region when pixelated with regions
+   */
+  getBlocks() {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._blocks) {
+      throw new Error("No blocks available, call pixelate() first");
+    }
+    return copyBlocks(this._blocks);
+  }
+
+  /**
+   * Encode the pixelated image with the instance's codec
+   * @returns {Promise<Buffer>} Promise resolving to a Buffer with the encoded image
+   */
+  async toBuffer() {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._output) {
+      throw new Error("No image available, call pixelate() first");
+    }
+    const bytes = await this._codec.encode(this._output);
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  /**
+   * Encode the pixelated image to an ArrayBuffer
+   * @returns {Promise<ArrayBuffer>} Promise resolving to an ArrayBuffer with the encoded image
+   */
+  async toArrayBuffer() {
+    const buffer = await this.toBuffer();
+    return buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    );
+  }
+
+  /**
+   * Encode the pixelated image as a GIF. Animated input keeps all of its
+   * frames and their timing.
+   * @param {Object} [options={}] - GIF options
+   * @param {string} [options.palette="local"] - "local" for a palette per frame, or "global" for one shared palette
+   * @param {number} [options.loop=0] - Times to play the animation, 0 for forever
+   * @returns {Promise<Buffer>} Promise resolving to a Buffer with the GIF
+   */
+  async toGIF(options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._output) {
+      throw new Error("No image available, call pixelate() first");
+    }
+    const { width, height } = this._output;
+    const frames = this._outputFrames || [
+      { data: this._output.data, delay: 0 },
+    ];
+    const bytes = encodeGIF({ width, height, frames }, options);
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  /**
+   * Chart the pixelated block grid as a cross-stitch or bead pattern
+   * @param {Object} [options={}] - Pattern options
+   * @param {string|Array<Object>} [options.palette="dmc"] - "dmc", "perler", or a list of { code, name, color }
+   * @param {string} [options.colorDistance="ciede2000"] - Metric used to match blocks to the palette, "rgb" or "ciede2000"
+   * @param {number} [options.cellSize=12] - Size of each chart cell in SVG units
+   * @returns {{ svg: string, json: string }} The printable SVG chart and the same pattern as JSON
+   */
+  toPattern(options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._blocks) {
+      throw new Error("No blocks available, call pixelate() first");
+    }
+    if (this._blocks.hasRegions) {
+      throw new Error("Patterns can't be made from a pixelation with regions");
+    }
+    return createPattern(this._blocks.grids[0], options);
+  }
+
+  /**
+   * Draw the pixelated blocks as a vector SVG that stays sharp at any size
+   * @param {Object} [options={}] - SVG options
+   * @param {number} [options.scale=1] - Multiplier for the SVG's width and height, relative to the source image
+   * @param {string} [options.merge="runs"] - "none" for a rect per block, "runs" to merge same-colored neighbours into rects, "regions" for one path per color
+   * @param {boolean} [options.crispEdges=true] - Add a crispEdges rendering hint so block edges aren't antialiased
+   * @param {boolean} [options.omitTransparent=true] - Leave out fully transparent blocks
+   * @returns {string} SVG markup
+   */
+  toSVG(options = {}) {
+    if (this._isDisposed) {
+      throw new Error("Cannot operate on disposed Pixyelator instance");
+    }
+    if (!this._blocks) {
+      throw new Error("No blocks available, call pixelate() first");
+    }
+    if (this._blocks.hasRegions) {
+      throw new Error("SVGs can't be made from a pixelation with regions");
+    }
+    if (this._blocks.usesLayer) {
+      throw new Error(
+        "SVGs can't be made from a pixelation with shapes, grid lines or cell gaps"
+      );
+    }
+    return renderSVG(this._blocks.grids[0], this._width, this._height, options);
+  }
+
+  /**
+   * Clean up resources and dispose of the instance
+   */
+  dispose() {
+    if (this._isDisposed) return;
+
+    this._source = null;
+    this._frames = null;
+    this._output = null;
+    this._outputFrames = null;
+    this._blocks = null;
+
+    this._isDisposed = true;
+  }
+}
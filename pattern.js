@@ -0,0 +1,471 @@
+import { nearestColorLookup } from "./core.js";
+
+// Turns a block grid into a cross-stitch or fuse-bead chart: every block is
+// matched to a thread or bead color, given a symbol, and drawn as a printable
+// SVG with a legend. Works without a DOM so both entry points can use it.
+
+// A selection of common DMC stranded cotton colors as [code, name, color].
+// Colors are the usual approximate sRGB conversions of the thread shades.
+const DMC = [
+  ["B5200", "Snow White", "#ffffff"],
+  ["White", "White", "#fcfbf8"],
+  ["Ecru", "Ecru", "#f0eada"],
+  ["310", "Black", "#000000"],
+  ["3371", "Black Brown", "#1e1108"],
+  ["762", "Pearl Gray Very Light", "#ececec"],
+  ["415", "Pearl Gray", "#d3d3d6"],
+  ["318", "Steel Gray Light", "#ababab"],
+  ["414", "Steel Gray Dark", "#8c8c8c"],
+  ["317", "Pewter Gray", "#6c6c6c"],
+  ["413", "Pewter Gray Dark", "#565656"],
+  ["3799", "Pewter Gray Very Dark", "#424242"],
+  ["3865", "Winter White", "#f9f7f1"],
+  ["3823", "Yellow Ultra Pale", "#fffde3"],
+  ["745", "Yellow Pale Light", "#ffe9ad"],
+  ["744", "Yellow Pale", "#ffe793"],
+  ["743", "Yellow Medium", "#fed376"],
+  ["445", "Lemon Light", "#fffb8b"],
+  ["307", "Lemon", "#fded54"],
+  ["444", "Lemon Dark", "#ffd600"],
+  ["973", "Canary Bright", "#ffe300"],
+  ["972", "Canary Deep", "#ffb515"],
+  ["727", "Topaz Very Light", "#fff1af"],
+  ["726", "Topaz Light", "#fdd755"],
+  ["725", "Topaz Medium Light", "#ffc840"],
+  ["783", "Topaz Medium", "#ce9124"],
+  ["782", "Topaz Dark", "#ae7720"],
+  ["742", "Tangerine Light", "#ffbf57"],
+  ["741", "Tangerine Medium", "#ffa32b"],
+  ["740", "Tangerine", "#ff8b00"],
+  ["970", "Pumpkin Light", "#f78b13"],
+  ["946", "Burnt Orange Medium", "#eb6307"],
+  ["900", "Burnt Orange Dark", "#d15807"],
+  ["948", "Peach Very Light", "#fee7da"],
+  ["754", "Peach Light", "#f7cbbf"],
+  ["353", "Peach", "#fed7cc"],
+  ["352", "Coral Light", "#fd9c97"],
+  ["351", "Coral", "#e96a67"],
+  ["350", "Coral Medium", "#e04848"],
+  ["817", "Coral Red Very Dark", "#bb051f"],
+  ["666", "Bright Red", "#e31d42"],
+  ["321", "Red", "#c72b3b"],
+  ["304", "Red Medium", "#b71f33"],
+  ["498", "Red Dark", "#a7132b"],
+  ["816", "Garnet", "#970b23"],
+  ["815", "Garnet Medium", "#87071f"],
+  ["3705", "Melon Dark", "#ff7992"],
+  ["3801", "Melon Very Dark", "#e74967"],
+  ["605", "Cranberry Very Light", "#ffc0cd"],
+  ["603", "Cranberry", "#ffa4be"],
+  ["602", "Cranberry Medium", "#e24874"],
+  ["601", "Cranberry Dark", "#d1286a"],
+  ["600", "Cranberry Very Dark", "#cd2f63"],
+  ["3326", "Rose Light", "#fbadb4"],
+  ["899", "Rose Medium", "#f27688"],
+  ["335", "Rose", "#ee546e"],
+  ["309", "Rose Dark", "#ba4a4a"],
+  ["3608", "Plum Very Light", "#ea9cc4"],
+  ["3607", "Plum Light", "#c54989"],
+  ["718", "Plum", "#9c2462"],
+  ["917", "Plum Medium", "#9b1359"],
+  ["211", "Lavender Light", "#e3cbe3"],
+  ["210", "Lavender Medium", "#c39fc3"],
+  ["209", "Lavender Dark", "#a37ba7"],
+  ["208", "Lavender Very Dark", "#835b8b"],
+  ["554", "Violet Light", "#dbb3cb"],
+  ["553", "Violet", "#a3638b"],
+  ["552", "Violet Medium", "#803a6b"],
+  ["550", "Violet Very Dark", "#5c184e"],
+  ["775", "Baby Blue Very Light", "#d9ebf1"],
+  ["3325", "Baby Blue Light", "#b8d2e6"],
+  ["334", "Baby Blue Medium", "#739fc1"],
+  ["322", "Baby Blue Dark", "#5a8fb8"],
+  ["312", "Baby Blue Very Dark", "#35668b"],
+  ["800", "Delft Blue Pale", "#c0ccde"],
+  ["799", "Delft Blue Medium", "#748eb6"],
+  ["798", "Delft Blue Dark", "#466a8e"],
+  ["797", "Royal Blue", "#13477d"],
+  ["796", "Royal Blue Dark", "#11416d"],
+  ["820", "Royal Blue Very Dark", "#0e365c"],
+  ["827", "Blue Very Light", "#bddded"],
+  ["813", "Blue Light", "#a1c2d7"],
+  ["826", "Blue Medium", "#6b9ebf"],
+  ["825", "Blue Dark", "#4781a5"],
+  ["824", "Blue Very Dark", "#396987"],
+  ["336", "Navy Blue", "#253b73"],
+  ["823", "Navy Blue Dark", "#213063"],
+  ["939", "Navy Blue Very Dark", "#1b2853"],
+  ["932", "Antique Blue Light", "#a2b5c6"],
+  ["931", "Antique Blue Medium", "#6a859e"],
+  ["930", "Antique Blue Dark", "#455c71"],
+  ["3750", "Antique Blue Very Dark", "#384c5e"],
+  ["3766", "Peacock Blue Light", "#99cfd9"],
+  ["598", "Turquoise Light", "#90c3cc"],
+  ["597", "Turquoise", "#5ba3b3"],
+  ["3810", "Turquoise Dark", "#488e9a"],
+  ["3808", "Turquoise Ultra Very Dark", "#366970"],
+  ["996", "Electric Blue Medium", "#30c2ec"],
+  ["3843", "Electric Blue", "#14aad0"],
+  ["995", "Electric Blue Dark", "#2696b6"],
+  ["955", "Nile Green Light", "#a2d6ad"],
+  ["954", "Nile Green", "#88ba91"],
+  ["913", "Nile Green Medium", "#6dab77"],
+  ["912", "Emerald Green Light", "#1b9d6b"],
+  ["911", "Emerald Green Medium", "#189065"],
+  ["910", "Emerald Green Dark", "#187e56"],
+  ["909", "Emerald Green Very Dark", "#156f49"],
+  ["704", "Chartreuse Bright", "#9ecf34"],
+  ["703", "Chartreuse", "#7bb547"],
+  ["702", "Kelly Green", "#47a72f"],
+  ["701", "Green Light", "#3f8f29"],
+  ["700", "Green Bright", "#07731b"],
+  ["699", "Green", "#056517"],
+  ["369", "Pistachio Green Very Light", "#d7edcc"],
+  ["368", "Pistachio Green Light", "#a6c298"],
+  ["320", "Pistachio Green Medium", "#69885a"],
+  ["367", "Pistachio Green Dark", "#617a52"],
+  ["319", "Pistachio Green Very Dark", "#205f2e"],
+  ["890", "Pistachio Green Ultra Dark", "#174923"],
+  ["3348", "Yellow Green Light", "#ccd9b1"],
+  ["3347", "Yellow Green Medium", "#71935c"],
+  ["3346", "Hunter Green", "#406a39"],
+  ["3345", "Hunter Green Dark", "#1b5915"],
+  ["472", "Avocado Green Ultra Light", "#d8e498"],
+  ["471", "Avocado Green Very Light", "#aebf79"],
+  ["470", "Avocado Green Light", "#94ab4f"],
+  ["469", "Avocado Green", "#72843c"],
+  ["937", "Avocado Green Medium", "#627133"],
+  ["936", "Avocado Green Very Dark", "#4c5826"],
+  ["3047", "Yellow Beige Light", "#e7d6c1"],
+  ["3046", "Yellow Beige Medium", "#d8bc9a"],
+  ["3045", "Yellow Beige Dark", "#bc966a"],
+  ["739", "Tan Ultra Very Light", "#f8e4c8"],
+  ["738", "Tan Very Light", "#eccc9e"],
+  ["437", "Tan Light", "#e4bb8e"],
+  ["436", "Tan", "#cb9051"],
+  ["435", "Brown Very Light", "#b87748"],
+  ["434", "Brown Light", "#985e33"],
+  ["433", "Brown Medium", "#7a451f"],
+  ["801", "Coffee Brown Dark", "#653919"],
+  ["898", "Coffee Brown Very Dark", "#492a13"],
+  ["938", "Coffee Brown Ultra Dark", "#361f0e"],
+  ["301", "Mahogany Medium", "#b35f2b"],
+  ["400", "Mahogany Dark", "#8f430f"],
+  ["300", "Mahogany Very Dark", "#6f2f00"],
+  ["842", "Beige Brown Very Light", "#d1baa1"],
+  ["841", "Beige Brown Light", "#b69b7e"],
+  ["840", "Beige Brown Medium", "#9a7c5c"],
+  ["839", "Beige Brown Dark", "#675541"],
+  ["838", "Beige Brown Very Dark", "#594937"],
+  ["3782", "Mocha Brown Light", "#d2bca6"],
+  ["3790", "Beige Gray Ultra Dark", "#7f6a55"],
+  ["3787", "Brown Gray Dark", "#625d50"],
+  ["3021", "Brown Gray Very Dark", "#4f4b41"],
+  ["3051", "Green Gray Dark", "#5f6648"],
+];
+
+// Perler fuse beads as [code, name, color], with approximate sRGB colors.
+const PERLER = [
+  ["P01", "White", "#f1f1f1"],
+  ["P02", "Cream", "#e0dea9"],
+  ["P03", "Yellow", "#ecd800"],
+  ["P04", "Orange", "#ed6120"],
+  ["P05", "Red", "#bf2636"],
+  ["P06", "Bubblegum", "#dd669a"],
+  ["P07", "Purple", "#6a3481"],
+  ["P08", "Dark Blue", "#2b3f87"],
+  ["P09", "Light Blue", "#3370c0"],
+  ["P10", "Dark Green", "#1c753e"],
+  ["P11", "Light Green", "#56ba9f"],
+  ["P12", "Brown", "#513931"],
+  ["P17", "Gray", "#8a8d91"],
+  ["P18", "Black", "#2e2f32"],
+  ["P20", "Rust", "#8c372c"],
+  ["P33", "Peach", "#eebab2"],
+  ["P35", "Tan", "#bc946a"],
+  ["P38", "Magenta", "#f2228c"],
+  ["P52", "Pastel Blue", "#61afdc"],
+  ["P53", "Pastel Green", "#7fc691"],
+  ["P54", "Pastel Lavender", "#9272b4"],
+  ["P56", "Pastel Yellow", "#fcf182"],
+  ["P57", "Cheddar", "#f1aa0c"],
+  ["P58", "Toothpaste", "#93c8d4"],
+  ["P59", "Hot Coral", "#ff3956"],
+  ["P60", "Plum", "#a24b9c"],
+  ["P61", "Kiwi Lime", "#6cbe13"],
+  ["P62", "Turquoise", "#2b89c6"],
+  ["P63", "Blush", "#ff8284"],
+  ["P70", "Periwinkle", "#6886c8"],
+  ["P79", "Light Pink", "#f2b7c8"],
+  ["P80", "Bright Green", "#4fad42"],
+  ["P83", "Pink", "#e54d96"],
+  ["P88", "Raspberry", "#a43368"],
+  ["P90", "Butterscotch", "#d38339"],
+  ["P91", "Parrot Green", "#00968a"],
+  ["P92", "Dark Gray", "#4d5156"],
+  ["P96", "Cranapple", "#832737"],
+  ["P98", "Sand", "#e4b685"],
+];
+
+const PATTERN_PALETTES = { dmc: DMC, perler: PERLER };
+
+// Symbols handed out to colors from most to least used; ones past the end
+// get numbers
+const SYMBOLS = [
+  ..."●■▲◆★♥♣♠✚✖○□△◇☆♦",
+  ..."ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  ..."abcdefghijklmnopqrstuvwxyz",
+  ..."0123456789",
+];
+
+/**
+ * Build a chart from a block grid, matching every block to the nearest thread
+ * or bead color. Blocks that are mostly transparent are left empty.
+ * @param {Object} grid - Block grid ({ xPixels, yPixels, colors })
+ * @param {Object} [options={}] - Pattern options
+ * @param {string|Array<Object>} [options.palette="dmc"] - "dmc", "perler", or a list of { code, name, color }
+ * @param {string} [options.colorDistance="ciede2000"] - Nearest-color metric, "rgb" or "ciede2000"
+ * @param {number} [options.cellSize=12] - Size of each chart cell in SVG units
+ * @returns {{ svg: string, json: string }} Printable SVG chart and the same data as JSON
+ */
+export function createPattern(grid, options = {}) {
+  const threads = resolvePatternPalette(options.palette ?? "dmc");
+  const cellSize = options.cellSize ?? 12;
+  if (!Number.isFinite(cellSize) || cellSize <= 0) {
+    throw new Error("Cell size must be a positive number");
+  }
+
+  const nearest = nearestColorLookup(
+    threads.map(({ rgb }) => rgb),
+    options.colorDistance ?? "ciede2000"
+  );
+  const threadByColor = new Map(threads.map((thread) => [thread.rgb, thread]));
+
+  // Every block gets its thread, counted so the legend can be sorted by use
+  const { xPixels, yPixels, colors } = grid;
+  const counts = new Map();
+  const cellThreads = [];
+  for (let offset = 0; offset < colors.length; offset += 4) {
+    if (colors[offset + 3] < 128) {
+      cellThreads.push(null);
+      continue;
+    }
+    const thread = threadByColor.get(
+      nearest([colors[offset], colors[offset + 1], colors[offset + 2]])
+    );
+    counts.set(thread, (counts.get(thread) || 0) + 1);
+    cellThreads.push(thread);
+  }
+
+  const legend = [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([thread, count], i) => ({
+      symbol: SYMBOLS[i] ?? String(i + 1),
+      code: thread.code,
+      name: thread.name,
+      color: thread.color,
+      count,
+    }));
+  const legendIndex = new Map(
+    [...counts.keys()]
+      .sort((a, b) => counts.get(b) - counts.get(a))
+      .map((thread, i) => [thread, i])
+  );
+
+  const cells = [];
+  for (let y = 0; y < yPixels; y++) {
+    cells.push(
+      cellThreads
+        .slice(y * xPixels, (y + 1) * xPixels)
+        .map((thread) => (thread ? legendIndex.get(thread) : null))
+    );
+  }
+
+  const data = {
+    width: xPixels,
+    height: yPixels,
+    palette: Array.isArray(options.palette)
+      ? "custom"
+      : options.palette ?? "dmc",
+    legend,
+    cells,
+  };
+
+  return {
+    svg: renderPatternSVG(data, cellSize),
+    json: JSON.stringify(data),
+  };
+}
+
+function resolvePatternPalette(palette) {
+  const entries =
+    typeof palette === "string"
+      ? PATTERN_PALETTES[palette]?.map(([code, name, color]) => ({
+          code,
+          name,
+          color,
+        }))
+      : palette;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(
+      'Pattern palette must be "dmc", "perler" or an array of { code, name, color }'
+    );
+  }
+
+  return entries.map((entry) => {
+    const rgb = /^#[0-9a-f]{6}$/i.test(entry?.color)
+      ? [1, 3, 5].map((i) => parseInt(entry.color.slice(i, i + 2), 16))
+      : null;
+    if (!rgb || entry.code === undefined) {
+      throw new Error(
+        `Invalid pattern palette entry: ${JSON.stringify(entry)}`
+      );
+    }
+    return {
+      code: String(entry.code),
+      name: String(entry.name ?? entry.code),
+      color: entry.color.toLowerCase(),
+      rgb,
+    };
+  });
+}
+
+// Lays the chart out as a grid with numbered edges and a legend below it.
+function renderPatternSVG(data, cell) {
+  const { width, height, legend, cells } = data;
+  const gutter = cell * 3;
+  const gridWidth = width * cell;
+  const gridHeight = height * cell;
+  const legendTop = gutter + gridHeight + cell * 2;
+  const rowHeight = cell * 1.6;
+  const longestLabel = Math.max(
+    0,
+    ...legend.map(
+      ({ code, name, count }) => `${code} ${name} (${count})`.length
+    )
+  );
+  const svgWidth = Math.max(
+    gutter + gridWidth + cell,
+    gutter + cell * 2 + longestLabel * cell * 0.6
+  );
+  const svgHeight = legendTop + legend.length * rowHeight + cell;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(
+      svgWidth
+    )}" height="${round(svgHeight)}" viewBox="0 0 ${round(svgWidth)} ${round(
+      svgHeight
+    )}" font-family="sans-serif">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+  ];
+
+  // Cells, each with its thread color and symbol
+  const symbolSize = round(cell * 0.7);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = cells[y][x];
+      if (index === null) continue;
+      const entry = legend[index];
+      const cx = gutter + x * cell;
+      const cy = gutter + y * cell;
+      parts.push(
+        `<rect x="${round(cx)}" y="${round(cy)}" width="${round(
+          cell
+        )}" height="${round(cell)}" fill="${entry.color}"/>`,
+        symbolText(entry, cx + cell / 2, cy + cell / 2, symbolSize)
+      );
+    }
+  }
+
+  // Thin lines between all cells, bold ones every 10 and around the edge
+  const thin = [];
+  const bold = [];
+  for (let x = 0; x <= width; x++) {
+    const line = `M${round(gutter + x * cell)} ${round(gutter)}V${round(
+      gutter + gridHeight
+    )}`;
+    (x % 10 === 0 || x === width ? bold : thin).push(line);
+  }
+  for (let y = 0; y <= height; y++) {
+    const line = `M${round(gutter)} ${round(gutter + y * cell)}H${round(
+      gutter + gridWidth
+    )}`;
+    (y % 10 === 0 || y === height ? bold : thin).push(line);
+  }
+  parts.push(
+    `<path d="${thin.join("")}" stroke="#999999" stroke-width="${round(
+      cell / 20
+    )}" fill="none"/>`,
+    `<path d="${bold.join("")}" stroke="#000000" stroke-width="${round(
+      cell / 8
+    )}" fill="none" stroke-linecap="square"/>`
+  );
+
+  // Row and column numbers at the first cell and every 10th
+  const labelSize = round(cell * 0.6);
+  for (let x = 0; x < width; x++) {
+    if (x !== 0 && (x + 1) % 10 !== 0) continue;
+    parts.push(
+      `<text x="${round(gutter + (x + 0.5) * cell)}" y="${round(
+        gutter - cell * 0.4
+      )}" font-size="${labelSize}" text-anchor="middle">${x + 1}</text>`
+    );
+  }
+  for (let y = 0; y < height; y++) {
+    if (y !== 0 && (y + 1) % 10 !== 0) continue;
+    parts.push(
+      `<text x="${round(gutter - cell * 0.3)}" y="${round(
+        gutter + (y + 0.5) * cell
+      )}" font-size="${labelSize}" text-anchor="end" dominant-baseline="central">${
+        y + 1
+      }</text>`
+    );
+  }
+
+  // Legend: swatch with symbol, then code, name and stitch count
+  legend.forEach((entry, i) => {
+    const top = legendTop + i * rowHeight;
+    parts.push(
+      `<rect x="${round(gutter)}" y="${round(top)}" width="${round(
+        cell
+      )}" height="${round(cell)}" fill="${
+        entry.color
+      }" stroke="#000000" stroke-width="${round(cell / 20)}"/>`,
+      symbolText(entry, gutter + cell / 2, top + cell / 2, symbolSize),
+      `<text x="${round(gutter + cell * 1.6)}" y="${round(
+        top + cell / 2
+      )}" font-size="${labelSize}" dominant-baseline="central">${escapeXML(
+        `${entry.code} ${entry.name} (${entry.count})`
+      )}</text>`
+    );
+  });
+
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+// A symbol centered at x, y, black or white depending on the cell color
+function symbolText(entry, x, y, size) {
+  const [r, g, b] = [1, 3, 5].map((i) =>
+    parseInt(entry.color.slice(i, i + 2), 16)
+  );
+  const fill = 0.299 * r + 0.587 * g + 0.114 * b > 140 ? "#000000" : "#ffffff";
+  return `<text x="${round(x)}" y="${round(
+    y
+  )}" font-size="${size}" text-anchor="middle" dominant-baseline="central" fill="${fill}">${escapeXML(
+    entry.symbol
+  )}</text>`;
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
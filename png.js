@@ -0,0 +1,485 @@
+// A small pure-JS PNG codec. It decodes every standard PNG (all color types
+// and bit depths, palettes, tRNS transparency and Adam7 interlacing) to 8-bit
+// RGBA, including every frame of an APNG, and encodes 8-bit RGBA. zlib comes
+// from the caller (Node's zlib, or DecompressionStream in browsers), so the
+// module loads anywhere.
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes as [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Check whether bytes start with the PNG signature
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @returns {boolean} Whether the bytes look like a PNG
+ */
+export function isPNG(bytes) {
+  return SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Check whether a PNG is animated (has an acTL chunk before its image data)
+ * @param {Uint8Array} bytes - Encoded PNG bytes
+ * @returns {boolean} Whether the bytes are an APNG
+ */
+export function isAnimatedPNG(bytes) {
+  if (!isPNG(bytes)) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = 8; offset + 8 <= bytes.length; ) {
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === "acTL") return true;
+    if (type === "IDAT" || type === "IEND") return false;
+    offset += 12 + view.getUint32(offset);
+  }
+  return false;
+}
+
+/**
+ * Decode a PNG into 8-bit RGBA pixels. Animated PNGs also get their frames,
+ * composited to full size.
+ * @param {Uint8Array} bytes - Encoded PNG bytes
+ * @param {Function} inflate - Inflates zlib data, such as Node's inflateSync
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray, frames?: Array<{ data: Uint8ClampedArray, delay: number }> }} Decoded pixels, plus frames with delays in milliseconds for APNGs
+ */
+export function decodePNG(bytes, inflate) {
+  const png = readPNG(bytes);
+  return assemblePNG(
+    png,
+    png.streams.map((chunks) => inflate(concat(chunks)))
+  );
+}
+
+/**
+ * Decode a PNG like decodePNG(), with an inflate that returns a promise
+ * @param {Uint8Array} bytes - Encoded PNG bytes
+ * @param {Function} inflate - Inflates zlib data, resolving to the inflated bytes
+ * @returns {Promise<Object>} Promise resolving to what decodePNG() returns
+ */
+export async function decodePNGAsync(bytes, inflate) {
+  const png = readPNG(bytes);
+  return assemblePNG(
+    png,
+    await Promise.all(png.streams.map((chunks) => inflate(concat(chunks))))
+  );
+}
+
+// Reads the chunks of a PNG. `streams` holds the compressed image data, then
+// that of every APNG frame.
+function readPNG(bytes) {
+  if (!isPNG(bytes)) {
+    throw new Error("Not a PNG image");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let animated = false;
+  const idat = [];
+  // APNG frames, each with its fcTL settings and compressed data
+  const frames = [];
+
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      const ihdr = new DataView(chunk.buffer, chunk.byteOffset, 13);
+      header = {
+        width: ihdr.getUint32(0),
+        height: ihdr.getUint32(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "acTL") {
+      animated = true;
+    } else if (type === "fcTL") {
+      const fctl = new DataView(chunk.buffer, chunk.byteOffset, 26);
+      const denominator = fctl.getUint16(22) || 100;
+      frames.push({
+        width: fctl.getUint32(4),
+        height: fctl.getUint32(8),
+        x: fctl.getUint32(12),
+        y: fctl.getUint32(16),
+        delay: Math.round((fctl.getUint16(20) * 1000) / denominator),
+        dispose: chunk[24],
+        blend: chunk[25],
+        data: [],
+      });
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+      // IDAT is the first frame when a fcTL comes before it
+      frames[frames.length - 1]?.data.push(chunk);
+    } else if (type === "fdAT") {
+      frames[frames.length - 1]?.data.push(chunk.subarray(4));
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header || idat.length === 0) {
+    throw new Error("Invalid PNG: missing IHDR or IDAT");
+  }
+  if (!CHANNELS[header.colorType]) {
+    throw new Error(`Unsupported PNG color type: ${header.colorType}`);
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error("Invalid PNG: missing palette");
+  }
+
+  const animation = animated ? frames : [];
+  return {
+    header,
+    palette,
+    transparency,
+    frames: animation,
+    streams: [idat, ...animation.map((frame) => frame.data)],
+  };
+}
+
+// Turns the inflated streams from readPNG() into pixels and frames
+function assemblePNG(png, [raw, ...frameRaws]) {
+  const { header, palette, transparency, frames } = png;
+  const channels = CHANNELS[header.colorType];
+  const { width, height } = header;
+  const decode = (data, frameWidth, frameHeight) =>
+    decodePixels(
+      data,
+      { ...header, width: frameWidth, height: frameHeight },
+      channels,
+      palette,
+      transparency
+    );
+
+  const image = { width, height, data: decode(raw, width, height) };
+
+  if (frames.length > 0) {
+    image.frames = composeFrames(
+      frames.map((frame, i) => ({
+        ...frame,
+        data: decode(frameRaws[i], frame.width, frame.height),
+      })),
+      width,
+      height
+    );
+  }
+
+  return image;
+}
+
+function decodePixels(raw, header, channels, palette, transparency) {
+  const { width, height, bitDepth, interlace } = header;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+
+  let position = 0;
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil((passWidth * channels * bitDepth) / 8);
+    const pixels = unfilter(
+      raw.subarray(position, position + (stride + 1) * passHeight),
+      stride,
+      passHeight,
+      Math.max(1, (channels * bitDepth) / 8)
+    );
+    position += (stride + 1) * passHeight;
+
+    for (let py = 0; py < passHeight; py++) {
+      const row = pixels.subarray(py * stride, (py + 1) * stride);
+      for (let px = 0; px < passWidth; px++) {
+        const target =
+          ((yStart + py * yStep) * width + xStart + px * xStep) * 4;
+        writePixel(
+          data,
+          target,
+          row,
+          px,
+          header,
+          channels,
+          palette,
+          transparency
+        );
+      }
+    }
+  }
+
+  return data;
+}
+
+// Draws APNG frames onto a full-size canvas in turn, following each frame's
+// blend and dispose operations, and snapshots the canvas after each one.
+function composeFrames(frames, width, height) {
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const composed = [];
+
+  frames.forEach((frame, i) => {
+    // Restoring to the previous canvas on the first frame means clearing it
+    const dispose = i === 0 && frame.dispose === 2 ? 1 : frame.dispose;
+    const previous = dispose === 2 ? canvas.slice() : null;
+
+    for (let y = 0; y < frame.height; y++) {
+      for (let x = 0; x < frame.width; x++) {
+        const s = (y * frame.width + x) * 4;
+        const t = ((frame.y + y) * width + frame.x + x) * 4;
+        const alpha = frame.data[s + 3];
+
+        if (frame.blend === 0 || alpha === 255 || canvas[t + 3] === 0) {
+          canvas.set(frame.data.subarray(s, s + 4), t);
+        } else if (alpha > 0) {
+          const srcA = alpha / 255;
+          const dstA = (canvas[t + 3] / 255) * (1 - srcA);
+          const outA = srcA + dstA;
+          for (let c = 0; c < 3; c++) {
+            canvas[t + c] =
+              (frame.data[s + c] * srcA + canvas[t + c] * dstA) / outA;
+          }
+          canvas[t + 3] = outA * 255;
+        }
+      }
+    }
+
+    composed.push({ data: canvas.slice(), delay: frame.delay });
+
+    if (dispose === 1) {
+      for (let y = frame.y; y < frame.y + frame.height; y++) {
+        const start = (y * width + frame.x) * 4;
+        canvas.fill(0, start, start + frame.width * 4);
+      }
+    } else if (previous) {
+      canvas.set(previous);
+    }
+  });
+
+  return composed;
+}
+
+/**
+ * Encode 8-bit RGBA pixels as a PNG
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image - Pixels to encode
+ * @param {Function} deflate - Compresses to zlib data, such as Node's deflateSync
+ * @returns {Uint8Array} Encoded PNG bytes
+ */
+export function encodePNG({ width, height, data }, deflate) {
+  const stride = width * 4;
+  const filtered = new Uint8Array((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+  const zero = new Uint8Array(stride);
+
+  // Pick the filter with the smallest sum of absolute values per row, the
+  // usual heuristic for good compression
+  for (let y = 0; y < height; y++) {
+    const row = data.subarray(y * stride, (y + 1) * stride);
+    const above = y > 0 ? data.subarray((y - 1) * stride, y * stride) : zero;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+    let best = null;
+
+    for (let filter = 0; filter < 5; filter++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= 4 ? row[i - 4] : 0;
+        const upLeft = i >= 4 ? above[i - 4] : 0;
+        const value = (row[i] - predict(filter, left, above[i], upLeft)) & 0xff;
+        candidate[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        best = candidate.slice();
+      }
+    }
+
+    filtered[y * (stride + 1)] = bestFilter;
+    filtered.set(best, y * (stride + 1) + 1);
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+
+  return concat([
+    new Uint8Array(SIGNATURE),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflate(filtered)),
+    chunk("IEND", new Uint8Array(0)),
+  ]);
+}
+
+function chunk(type, body) {
+  const bytes = new Uint8Array(body.length + 12);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) {
+    bytes[4 + i] = type.charCodeAt(i);
+  }
+  bytes.set(body, 8);
+  view.setUint32(body.length + 8, crc32(bytes.subarray(4, body.length + 8)));
+  return bytes;
+}
+
+function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+function paeth(left, up, upLeft) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) return left;
+  if (pb <= pc) return up;
+  return upLeft;
+}
+
+function predict(filter, left, up, upLeft) {
+  switch (filter) {
+    case 1:
+      return left;
+    case 2:
+      return up;
+    case 3:
+      return (left + up) >> 1;
+    case 4:
+      return paeth(left, up, upLeft);
+    default:
+      return 0;
+  }
+}
+
+// Undo the per-row filters, returning the bare scanlines.
+function unfilter(raw, stride, rows, bpp) {
+  const pixels = new Uint8Array(stride * rows);
+
+  for (let y = 0; y < rows; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const above = row - stride;
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? pixels[row + i - bpp] : 0;
+      const up = y > 0 ? pixels[above + i] : 0;
+      const upLeft = y > 0 && i >= bpp ? pixels[above + i - bpp] : 0;
+      if (filter > 4) {
+        throw new Error(`Invalid PNG filter type: ${filter}`);
+      }
+      pixels[row + i] = (line[i] + predict(filter, left, up, upLeft)) & 0xff;
+    }
+  }
+
+  return pixels;
+}
+
+// Read the sample-th sample of a scanline at any bit depth. 16-bit samples
+// are returned whole so tRNS keys can be compared exactly.
+function readSample(row, index, bitDepth) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+
+  const bit = index * bitDepth;
+  const shift = 8 - bitDepth - (bit % 8);
+  return (row[bit >> 3] >> shift) & ((1 << bitDepth) - 1);
+}
+
+function writePixel(data, target, row, px, header, channels, palette, trns) {
+  const { bitDepth, colorType } = header;
+  const samples = [];
+  for (let c = 0; c < channels; c++) {
+    samples.push(readSample(row, px * channels + c, bitDepth));
+  }
+
+  const max = (1 << bitDepth) - 1;
+  const to8 = (value) =>
+    bitDepth === 16 ? value >> 8 : Math.round((value * 255) / max);
+
+  switch (colorType) {
+    case 0: {
+      const gray = to8(samples[0]);
+      data[target] = data[target + 1] = data[target + 2] = gray;
+      data[target + 3] =
+        trns && samples[0] === ((trns[0] << 8) | trns[1]) ? 0 : 255;
+      break;
+    }
+    case 2: {
+      for (let c = 0; c < 3; c++) {
+        data[target + c] = to8(samples[c]);
+      }
+      const transparent =
+        trns &&
+        samples.every(
+          (value, c) => value === ((trns[c * 2] << 8) | trns[c * 2 + 1])
+        );
+      data[target + 3] = transparent ? 0 : 255;
+      break;
+    }
+    case 3: {
+      const index = samples[0];
+      data[target] = palette[index * 3];
+      data[target + 1] = palette[index * 3 + 1];
+      data[target + 2] = palette[index * 3 + 2];
+      data[target + 3] = trns && index < trns.length ? trns[index] : 255;
+      break;
+    }
+    case 4: {
+      const gray = to8(samples[0]);
+      data[target] = data[target + 1] = data[target + 2] = gray;
+      data[target + 3] = to8(samples[1]);
+      break;
+    }
+    case 6: {
+      for (let c = 0; c < 4; c++) {
+        data[target + c] = to8(samples[c]);
+      }
+      break;
+    }
+  }
+}
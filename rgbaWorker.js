@@ -1,5 +1,12 @@
+import {
+  maskWeights,
+  pixelateImageData,
+  renderLayer,
+  usesLayer,
+} from "./core.js";
+
 onmessage = (e) => {
-  const [imageBitmap, xPixels, yPixels, grayscale = false] = e.data;
+  const [imageBitmap, xPixels, yPixels, options = {}] = e.data;
 
   try {
     const sourceCanvas = new OffscreenCanvas(
@@ -10,54 +17,85 @@ onmessage = (e) => {
       willReadFrequently: true,
     });
     sourceCtx.drawImage(imageBitmap, 0, 0);
+    const source = sourceCtx.getImageData(
+      0,
+      0,
+      imageBitmap.width,
+      imageBitmap.height
+    );
 
-    const tinyCanvas = new OffscreenCanvas(xPixels, yPixels);
-    const tinyCtx = tinyCanvas.getContext("2d");
-
-    const blockWidth = imageBitmap.width / xPixels;
-    const blockHeight = imageBitmap.height / yPixels;
-
-    for (let by = 0; by < yPixels; by++) {
-      for (let bx = 0; bx < xPixels; bx++) {
-        const x = Math.floor(bx * blockWidth);
-        const y = Math.floor(by * blockHeight);
-        const w = Math.floor((bx + 1) * blockWidth) - x;
-        const h = Math.floor((by + 1) * blockHeight) - y;
-
-        const imageData = sourceCtx.getImageData(x, y, w, h);
-        const data = imageData.data;
-        const pixelCount = data.length / 4;
-
-        let r = 0,
-          g = 0,
-          b = 0,
-          a = 0;
-        for (let i = 0; i < data.length; i += 4) {
-          r += data[i];
-          g += data[i + 1];
-          b += data[i + 2];
-          a += data[i + 3];
-        }
-
-        r = Math.floor(r / pixelCount);
-        g = Math.floor(g / pixelCount);
-        b = Math.floor(b / pixelCount);
-        a = Math.floor(a / pixelCount) / 255;
-
-        if (grayscale) {
-          // Standard luminance formula (ITU-R BT.709)
-          const gray = Math.floor(0.299 * r + 0.587 * g + 0.114 * b);
-          r = g = b = gray;
-        }
-
-        tinyCtx.fillStyle = `rgba(${r}, ${g}, ${b}, ${a})`;
-        tinyCtx.fillRect(bx, by, 1, 1);
-      }
+    const grids = pixelateImageData(source, xPixels, yPixels, {
+      ...options,
+      onProgress: options.reportProgress
+        ? (progress) => self.postMessage({ progress })
+        : undefined,
+    });
+
+    const maskLayer = options.mask
+      ? renderMaskLayer(options, imageBitmap.width, imageBitmap.height)
+      : undefined;
+    const maskTransfer = maskLayer ? [maskLayer] : [];
+
+    // Shapes, gaps and grid lines are drawn here at full size, as one layer
+    if (usesLayer(options)) {
+      const layer = renderLayer(
+        grids,
+        options,
+        imageBitmap.width,
+        imageBitmap.height
+      );
+      const bitmap = renderBitmap(layer.data, layer.width, layer.height);
+      self.postMessage(
+        { success: true, regions: grids, layer: bitmap, maskLayer },
+        [bitmap, ...maskTransfer]
+      );
+      return;
     }
 
-    const bitmap = tinyCanvas.transferToImageBitmap();
-    self.postMessage({ success: true, bitmap }, [bitmap]);
+    const transfer = [];
+    const results = grids.map((grid) => {
+      const bitmap = renderBitmap(grid.colors, grid.xPixels, grid.yPixels);
+      transfer.push(bitmap, grid.colors.buffer, grid.rects.buffer);
+      return { ...grid, bitmap };
+    });
+
+    self.postMessage({ success: true, regions: results, maskLayer }, [
+      ...transfer,
+      ...maskTransfer,
+    ]);
   } catch (error) {
     self.postMessage({ success: false, error: error.message });
   }
 };
+
+// The original image gets drawn back over the pixelation through this layer,
+// whose alpha is the inverse of the (feathered) mask
+function renderMaskLayer(options, width, height) {
+  let { mask } = options;
+
+  if (mask instanceof ImageBitmap) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(mask, 0, 0, width, height);
+    mask.close();
+    mask = ctx.getImageData(0, 0, width, height);
+  }
+
+  const weights = maskWeights(mask, width, height, options);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < weights.length; i++) {
+    data[i * 4 + 3] = (1 - weights[i]) * 255;
+  }
+
+  return renderBitmap(data, width, height);
+}
+
+// Writes RGBA pixels (block colors, one per pixel) to a bitmap
+function renderBitmap(data, width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+
+  ctx.putImageData(new ImageData(data, width, height), 0, 0);
+
+  return canvas.transferToImageBitmap();
+}
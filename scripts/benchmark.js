@@ -0,0 +1,109 @@
+import { pixelateImageData } from "../core.js";
+
+// Times the single-pass block reduction in core.js against a Node loop that
+// copies each block out on its own and averages it with the same alpha
+// weighting. This is not the worker's old code, which called getImageData
+// and fillRect once per block on a canvas and isn't available in Node; it
+// only models that structure, so the numbers compare loop shapes on the
+// same work rather than the old and new workers. With few, large blocks the
+// per-block copy can come out ahead. Usage: npm run benchmark [-- width height]
+
+const width = Number(process.argv[2]) || 4000;
+const height = Number(process.argv[3]) || 3000;
+const runs = 3;
+
+const source = {
+  width,
+  height,
+  data: new Uint8ClampedArray(width * height * 4),
+};
+for (let i = 0; i < source.data.length; i++) {
+  source.data[i] = (i * 2654435761) >>> 24;
+}
+
+// One copy and one alpha-weighted average per block
+function perBlockReadback(source, xPixels, yPixels) {
+  const colors = new Uint8ClampedArray(xPixels * yPixels * 4);
+  const blockWidth = source.width / xPixels;
+  const blockHeight = source.height / yPixels;
+
+  for (let by = 0; by < yPixels; by++) {
+    for (let bx = 0; bx < xPixels; bx++) {
+      const x = Math.floor(bx * blockWidth);
+      const y = Math.floor(by * blockHeight);
+      const w = Math.floor((bx + 1) * blockWidth) - x;
+      const h = Math.floor((by + 1) * blockHeight) - y;
+
+      const data = new Uint8ClampedArray(w * h * 4);
+      for (let row = 0; row < h; row++) {
+        const start = ((y + row) * source.width + x) * 4;
+        data.set(source.data.subarray(start, start + w * 4), row * w * 4);
+      }
+
+      let r = 0,
+        g = 0,
+        b = 0,
+        a = 0;
+      // Colors are weighted by alpha, as the single pass does
+      for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        r += data[i] * alpha;
+        g += data[i + 1] * alpha;
+        b += data[i + 2] * alpha;
+        a += alpha;
+      }
+
+      const offset = (by * xPixels + bx) * 4;
+      if (a === 0) continue;
+      colors[offset] = Math.floor(r / a);
+      colors[offset + 1] = Math.floor(g / a);
+      colors[offset + 2] = Math.floor(b / a);
+      colors[offset + 3] = Math.floor(a / (w * h));
+    }
+  }
+
+  return colors;
+}
+
+function time(fn) {
+  let best = Infinity;
+  let result;
+  for (let run = 0; run < runs; run++) {
+    const start = performance.now();
+    result = fn();
+    best = Math.min(best, performance.now() - start);
+  }
+  return { best, result };
+}
+
+console.log(`${width}x${height} image, best of ${runs} runs\n`);
+console.log("blocks       per-block    single-pass  speedup");
+
+for (const [xPixels, yPixels] of [
+  [32, 24],
+  [100, 100],
+  [400, 300],
+  [1000, 750],
+]) {
+  const old = time(() => perBlockReadback(source, xPixels, yPixels));
+  const current = time(
+    () => pixelateImageData(source, xPixels, yPixels)[0].colors
+  );
+
+  if (old.result.some((value, i) => value !== current.result[i])) {
+    throw new Error(`Results differ at ${xPixels}x${yPixels}`);
+  }
+
+  console.log(
+    [
+      `${xPixels}x${yPixels}`.padEnd(12),
+      `${old.best.toFixed(1)}ms`.padEnd(12),
+      `${current.best.toFixed(1)}ms`.padEnd(12),
+      `${(old.best / current.best).toFixed(2)}x`,
+    ].join(" ")
+  );
+}
+
+console.log(
+  "\nBelow 1.00x, the single pass was slower than the per-block copy."
+);
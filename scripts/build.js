@@ -31,31 +31,49 @@ async function ensureDistDir() {
   }
 }
 
-async function build() {
-  await ensureDistDir();
-
-  const indexPath = join(projectRoot, "index.js");
-  const indexCode = await fs.readFile(indexPath, "utf8");
-  const indexMinified = await minify(indexCode, terserOptions);
+// Source modules and the names they are published under. References between
+// them (imports and the worker URL) are rewritten to the minified names.
+const modules = {
+  "index.js": "index.min.js",
+  "core.js": "core.min.js",
+  "rgbaWorker.js": "rgbaWorker.min.js",
+  "workerPool.js": "workerPool.min.js",
+  "node.js": "node.min.js",
+  "png.js": "png.min.js",
+  "gif.js": "gif.min.js",
+  "exif.js": "exif.min.js",
+  "format.js": "format.min.js",
+  "pattern.js": "pattern.min.js",
+};
 
-  const indexMinifiedCode = indexMinified.code.replace(
-    /new URL\("rgbaWorker\.js"/g,
-    'new URL("rgbaWorker.min.js"'
-  );
+function rewriteModuleReferences(code) {
+  let rewritten = code;
+  for (const [source, minified] of Object.entries(modules)) {
+    const escaped = source.replace(/\./g, "\\.");
+    rewritten = rewritten.replace(
+      new RegExp(`(["'\`](?:\\./)?)${escaped}(["'\`])`, "g"),
+      `$1${minified}$2`
+    );
+  }
+  return rewritten;
+}
 
-  await fs.writeFile(join(distDir, "index.min.js"), indexMinifiedCode);
+async function build() {
+  await ensureDistDir();
 
-  const workerPath = join(projectRoot, "rgbaWorker.js");
-  const workerCode = await fs.readFile(workerPath, "utf8");
-  const workerMinified = await minify(workerCode, terserOptions);
+  for (const [source, minified] of Object.entries(modules)) {
+    const code = await fs.readFile(join(projectRoot, source), "utf8");
+    const result = await minify(code, terserOptions);
 
-  await fs.writeFile(
-    join(distDir, "rgbaWorker.min.js"),
-    workerMinified.code
-  );
+    await fs.writeFile(
+      join(distDir, minified),
+      rewriteModuleReferences(result.code)
+    );
+  }
 
-  const typesPath = join(projectRoot, "index.d.ts");
-  await fs.copyFile(typesPath, join(distDir, "index.d.ts"));
+  for (const types of ["index.d.ts", "node.d.ts"]) {
+    await fs.copyFile(join(projectRoot, types), join(distDir, types));
+  }
 }
 
 build().catch(console.error);
@@ -0,0 +1,594 @@
+import { test, expect } from "@playwright/test";
+import { readFile } from "fs/promises";
+
+/**
+ * Pixyelator Node Entry Test Suite
+ *
+ * Runs the DOM-free build directly in Node and checks it against the same
+ * fixtures the browser tests use
+ */
+
+// Use TEST_DIST=true to test the built dist version
+const entry =
+  process.env.TEST_DIST === "true" ? "../dist/node.min.js" : "../node.js";
+const { Pixyelator, pngCodec } = await import(entry);
+const { decodeGIF } = await import(
+  process.env.TEST_DIST === "true" ? "../dist/gif.min.js" : "../gif.js"
+);
+
+const fixtures = new URL("./fixtures/images/frutiger/", import.meta.url);
+const inputPath = new URL("input/frutiger.png", fixtures);
+
+async function loadExpected(name) {
+  const bytes = await readFile(new URL(`expected/${name}.png`, fixtures));
+  return pngCodec.decode(new Uint8Array(bytes));
+}
+
+function countDifferences(actual, expected) {
+  let differences = 0;
+  for (let i = 0; i < expected.data.length; i++) {
+    if (actual.data[i] !== expected.data[i]) differences++;
+  }
+  return differences;
+}
+
+test.describe("Pixyelator Node API", () => {
+  test.describe("Pixel-Perfect Validation Tests", () => {
+    for (const [xPixels, yPixels, grayscale, name] of [
+      [4, 4, true, "4x4-grayscale"],
+      [4, 4, false, "4x4-colour"],
+      [32, 32, false, "32x32-colour"],
+      [100, 100, false, "100x100-colour"],
+    ]) {
+      test(`should match expected ${name} pixelation`, async () => {
+        const pixyelator = await Pixyelator.fromImage(
+          await readFile(inputPath)
+        );
+        const actual = await pixyelator
+          .pixelate(xPixels, yPixels, { grayscale })
+          .toImageData();
+        const expected = await loadExpected(name);
+
+        expect(actual.width).toBe(expected.width);
+        expect(actual.height).toBe(expected.height);
+        expect(countDifferences(actual, expected)).toBe(0);
+      });
+    }
+  });
+
+  test.describe("Input and Output Tests", () => {
+    test("should accept a raw RGBA buffer", async () => {
+      const data = new Uint8ClampedArray(4 * 4 * 4).fill(255);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 4,
+        height: 4,
+        data,
+      });
+      const grid = await pixyelator.pixelate(2, 2).getBlocks();
+
+      expect(grid.xPixels).toBe(2);
+      expect(grid.yPixels).toBe(2);
+      expect(Array.from(grid.colors)).toEqual(new Array(16).fill(255));
+    });
+
+    test("should encode a PNG that decodes to the same pixels", async () => {
+      const pixyelator = await Pixyelator.fromImage(inputPath.pathname);
+      const buffer = await pixyelator
+        .pixelate(8, 8, { outputSize: "grid" })
+        .toBuffer();
+      const decoded = pngCodec.decode(new Uint8Array(buffer));
+      const imageData = pixyelator.toImageData();
+
+      expect(decoded.width).toBe(8);
+      expect(decoded.height).toBe(8);
+      expect(countDifferences(decoded, imageData)).toBe(0);
+    });
+
+    test("should use a custom codec", async () => {
+      const codec = {
+        decode: () => ({
+          width: 2,
+          height: 2,
+          data: new Uint8ClampedArray(16).fill(128),
+        }),
+        encode: (image) => new Uint8Array([image.width, image.height]),
+      };
+      const pixyelator = await Pixyelator.fromImage(new Uint8Array([1]), {
+        codec,
+      });
+      const buffer = await pixyelator.pixelate(1, 1).toBuffer();
+
+      expect(Array.from(buffer)).toEqual([2, 2]);
+    });
+
+    test("should report progress across regions", async () => {
+      const data = new Uint8ClampedArray(8 * 8 * 4).fill(255);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 8,
+        height: 8,
+        data,
+      });
+      const reports = [];
+      await pixyelator.pixelate(4, 4, {
+        regions: [
+          { x: 0, y: 0, width: 4, height: 4 },
+          { x: 4, y: 4, width: 4, height: 4 },
+        ],
+        onProgress: (progress) => reports.push(progress),
+      });
+
+      expect(reports.length).toBeGreaterThan(0);
+      expect(reports[reports.length - 1]).toBe(1);
+    });
+
+    test("should average in linear light", async () => {
+      // Half black, half white
+      const data = new Uint8ClampedArray(2 * 1 * 4).fill(255);
+      data.fill(0, 0, 3);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 2,
+        height: 1,
+        data,
+      });
+
+      const srgb = await pixyelator.pixelate(1, 1).getBlocks();
+      const linear = await pixyelator
+        .pixelate(1, 1, { colorSpace: "linear" })
+        .getBlocks();
+
+      expect(Array.from(srgb.colors)).toEqual([127, 127, 127, 255]);
+      expect(Array.from(linear.colors)).toEqual([188, 188, 188, 255]);
+    });
+
+    test("should ignore the color of transparent pixels", async () => {
+      // Opaque red next to transparent black
+      const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 0]);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 2,
+        height: 1,
+        data,
+      });
+
+      const average = await pixyelator.pixelate(1, 1).getBlocks();
+      const threshold = await pixyelator
+        .pixelate(1, 1, { alphaMode: "threshold" })
+        .getBlocks();
+      const flatten = await pixyelator
+        .pixelate(1, 1, { alphaMode: "flatten", background: "#0000ff" })
+        .getBlocks();
+
+      expect(Array.from(average.colors)).toEqual([255, 0, 0, 127]);
+      expect(Array.from(threshold.colors)).toEqual([0, 0, 0, 0]);
+      expect(Array.from(flatten.colors)).toEqual([127, 0, 128, 255]);
+    });
+
+    test("should draw circles on the shape background", async () => {
+      const data = new Uint8ClampedArray(8 * 8 * 4).fill(255);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 8,
+        height: 8,
+        data,
+      });
+      const image = await pixyelator
+        .pixelate(1, 1, { shape: "circle", shapeBackground: "#000" })
+        .toImageData();
+
+      const pixel = (x, y) =>
+        Array.from(image.data.subarray((y * 8 + x) * 4, (y * 8 + x) * 4 + 4));
+      expect(pixel(0, 0)).toEqual([0, 0, 0, 255]);
+      expect(pixel(4, 4)).toEqual([255, 255, 255, 255]);
+    });
+
+    test("should draw grid lines between cells", async () => {
+      const data = new Uint8ClampedArray(4 * 4 * 4).fill(255);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 4,
+        height: 4,
+        data,
+      });
+      const image = await pixyelator
+        .pixelate(2, 2, { gridLines: { color: "#f00" }, scale: 4 })
+        .toImageData();
+
+      const pixel = (x, y) =>
+        Array.from(image.data.subarray((y * 8 + x) * 4, (y * 8 + x) * 4 + 4));
+      expect(pixel(1, 1)).toEqual([255, 255, 255, 255]);
+      expect(pixel(4, 1)).toEqual([255, 0, 0, 255]);
+      expect(pixel(1, 4)).toEqual([255, 0, 0, 255]);
+      expect(pixel(0, 0)).toEqual([255, 255, 255, 255]);
+    });
+
+    test("should derive block counts from one count or a block size", async () => {
+      const data = new Uint8ClampedArray(8 * 4 * 4).fill(255);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 8,
+        height: 4,
+        data,
+      });
+
+      const counts = async (promise) => {
+        const { xPixels, yPixels } = await promise.getBlocks();
+        return [xPixels, yPixels];
+      };
+      expect(await counts(pixyelator.pixelate(4))).toEqual([4, 2]);
+      expect(await counts(pixyelator.pixelate(null, 1))).toEqual([2, 1]);
+      expect(await counts(pixyelator.pixelateByBlockSize(2))).toEqual([4, 2]);
+      expect(await counts(pixyelator.pixelateByBlockSize(4, 1))).toEqual([
+        2, 4,
+      ]);
+      expect(
+        await counts(pixyelator.pixelate(100, 100, { oversize: "clamp" }))
+      ).toEqual([8, 4]);
+      expect(() => pixyelator.pixelate(100, 100)).toThrow(
+        "Pixel dimensions cannot exceed image dimensions"
+      );
+    });
+
+    test("should upsample into a nearest-neighbour grid", async () => {
+      const data = new Uint8ClampedArray([
+        255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255,
+      ]);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 2,
+        height: 2,
+        data,
+      });
+      const image = await pixyelator
+        .pixelate(4, 4, { oversize: "upsample", outputSize: "grid" })
+        .toImageData();
+
+      const pixel = (x, y) =>
+        Array.from(image.data.subarray((y * 4 + x) * 4, (y * 4 + x) * 4 + 4));
+      expect(image.width).toBe(4);
+      expect(pixel(1, 1)).toEqual([255, 0, 0, 255]);
+      expect(pixel(2, 1)).toEqual([0, 255, 0, 255]);
+      expect(pixel(1, 2)).toEqual([0, 0, 255, 255]);
+      expect(pixel(3, 3)).toEqual([255, 255, 255, 255]);
+    });
+
+    test("should only pixelate inside the mask", async () => {
+      const data = new Uint8ClampedArray(8 * 4);
+      for (let x = 0; x < 8; x++) {
+        data.set(x < 4 ? [255, 0, 0, 255] : [0, 0, 255, 255], x * 4);
+      }
+      const pixyelator = await Pixyelator.fromImage({
+        width: 8,
+        height: 1,
+        data,
+      });
+      const mask = new Uint8Array([255, 255, 255, 255, 0, 0, 0, 0]);
+
+      const red = async (options) => {
+        const image = await pixyelator.pixelate(1, 1, options).toImageData();
+        return Array.from({ length: 8 }, (_, x) => image.data[x * 4]);
+      };
+      expect(await red({ mask })).toEqual([127, 127, 127, 127, 0, 0, 0, 0]);
+      expect(await red({ mask, invertMask: true })).toEqual([
+        255, 255, 255, 255, 127, 127, 127, 127,
+      ]);
+
+      // Feathering ramps from the pixelated color to the original
+      const feathered = await red({ mask, feather: 2 });
+      expect(feathered[0]).toBe(127);
+      expect(feathered[7]).toBe(0);
+      expect(feathered[3]).toBeGreaterThan(feathered[4]);
+      expect(feathered[4]).toBeGreaterThan(0);
+    });
+
+    test("should run color filters before or after reduction", async () => {
+      const pixyelator = await Pixyelator.fromImage({
+        width: 2,
+        height: 1,
+        data: new Uint8ClampedArray([100, 100, 100, 255, 200, 200, 200, 255]),
+      });
+      const color = async (options) => {
+        const { colors } = await pixyelator.pixelate(1, 1, options).getBlocks();
+        return Array.from(colors.subarray(0, 3));
+      };
+
+      expect(await color({ filters: ["invert"] })).toEqual([105, 105, 105]);
+      expect(
+        await color({ filters: [{ type: "brightness", amount: 2 }] })
+      ).toEqual([255, 255, 255]);
+      // Posterizing the pixels first averages black and white; posterizing
+      // the block snaps its mean to white
+      expect(
+        await color({
+          filters: [{ type: "posterize", levels: 2, stage: "before" }],
+        })
+      ).toEqual([127, 127, 127]);
+      expect(
+        await color({ filters: [{ type: "posterize", levels: 2 }] })
+      ).toEqual([255, 255, 255]);
+      expect(
+        await color({ filters: [{ type: "hueRotate", degrees: 90 }] })
+      ).toEqual([150, 150, 150]);
+
+      expect(() => pixyelator.pixelate(1, 1, { filters: ["blur"] })).toThrow(
+        "Unsupported filter: blur"
+      );
+    });
+
+    test("should chart the blocks as a thread pattern", async () => {
+      // 12x2: black except for a white right edge and one transparent pixel
+      const data = new Uint8ClampedArray(12 * 2 * 4);
+      for (let i = 0; i < 24; i++) {
+        const white = i % 12 >= 9;
+        data.set(white ? [255, 255, 255, 255] : [0, 0, 0, 255], i * 4);
+      }
+      data[3] = 0;
+      const pixyelator = await Pixyelator.fromImage({
+        width: 12,
+        height: 2,
+        data,
+      });
+
+      const { svg, json } = await pixyelator.pixelate(12, 2).toPattern();
+      const pattern = JSON.parse(json);
+      expect(pattern.palette).toBe("dmc");
+      expect(pattern.legend.map(({ code, count }) => [code, count])).toEqual([
+        ["310", 17],
+        ["B5200", 6],
+      ]);
+      expect(pattern.cells[0][0]).toBeNull();
+      expect(pattern.cells[1].slice(8, 10)).toEqual([0, 1]);
+
+      // Bold lines sit on the edges and every 10th cell, numbers on the
+      // first and every 10th row and column
+      expect(svg.startsWith("<svg")).toBe(true);
+      expect(svg).toContain('d="M36 36V60M156 36V60M180 36V60');
+      expect(svg).toContain(">10</text>");
+      expect(svg).toContain("310 Black (17)");
+
+      const custom = JSON.parse(
+        pixyelator.toPattern({
+          palette: [{ code: "R", name: "Red & Co", color: "#ff0000" }],
+        }).json
+      );
+      expect(custom.legend).toEqual([
+        {
+          symbol: "●",
+          code: "R",
+          name: "Red & Co",
+          color: "#ff0000",
+          count: 23,
+        },
+      ]);
+      expect(() => pixyelator.toPattern({ palette: "lego" })).toThrow(
+        'Pattern palette must be "dmc", "perler" or an array of { code, name, color }'
+      );
+    });
+
+    test("should draw the blocks as a vector SVG", async () => {
+      // Left half red, right half half-transparent blue with a clear corner
+      const data = new Uint8ClampedArray(4 * 4 * 4);
+      for (let i = 0; i < 16; i++) {
+        data.set(i % 4 < 2 ? [255, 0, 0, 255] : [0, 0, 255, 128], i * 4);
+      }
+      data.set([0, 0, 0, 0], 15 * 4);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 4,
+        height: 4,
+        data,
+      });
+
+      const svg = await pixyelator.pixelate(4, 4).toSVG({ scale: 2 });
+      expect(svg).toContain(
+        'width="8" height="8" viewBox="0 0 4 4" preserveAspectRatio="none" shape-rendering="crispEdges"'
+      );
+      expect(svg.match(/<rect/g)).toHaveLength(3);
+      expect(svg).toContain(
+        '<rect x="0" y="0" width="2" height="4" fill="#ff0000"/>'
+      );
+      expect(svg).toContain('fill="#0000ff" fill-opacity="0.502"');
+
+      const regions = pixyelator.toSVG({ merge: "regions", crispEdges: false });
+      expect(regions).toContain(
+        '<path d="M2 0h2v3h-2zM2 3h1v1h-1z" fill="#0000ff" fill-opacity="0.502"/>'
+      );
+      expect(regions).not.toContain("shape-rendering");
+      expect(
+        pixyelator
+          .toSVG({ merge: "none", omitTransparent: false })
+          .match(/<rect/g)
+      ).toHaveLength(16);
+      expect(() => pixyelator.toSVG({ merge: "blobs" })).toThrow(
+        "Unsupported SVG merge mode: blobs"
+      );
+
+      // Shapes, grid lines and cell gaps aren't drawn in SVGs
+      for (const options of [
+        { shape: "circle" },
+        { gridLines: true },
+        { cellGap: 1 },
+      ]) {
+        await pixyelator.pixelate(2, 2, options);
+        expect(() => pixyelator.toSVG()).toThrow(
+          "SVGs can't be made from a pixelation with shapes, grid lines or cell gaps"
+        );
+      }
+      await pixyelator.pixelate(2, 2, { shape: "square" });
+      expect(pixyelator.toSVG()).toContain("<rect");
+    });
+
+    test("should turn images upright and apply source transforms", async () => {
+      // 3x2, red channel numbering the pixels row by row
+      const data = new Uint8ClampedArray(3 * 2 * 4);
+      for (let i = 0; i < 6; i++) data.set([i, 0, 0, 255], i * 4);
+      const image = { width: 3, height: 2, data };
+      const reds = ({ data }) => Array.from(data.filter((_, i) => i % 4 === 0));
+
+      // An eXIf chunk with orientation 6 (stored rotated 90° counterclockwise)
+      const png = pngCodec.encode(image);
+      const tiff = [0x4d, 0x4d, 0, 42, 0, 0, 0, 8, 0, 1];
+      tiff.push(0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0, 0, 0, 0, 0);
+      const chunk = new Uint8Array(12 + tiff.length);
+      new DataView(chunk.buffer).setUint32(0, tiff.length);
+      chunk.set(
+        [..."eXIf"].map((c) => c.charCodeAt(0)),
+        4
+      );
+      chunk.set(tiff, 8);
+      const oriented = Buffer.concat([
+        png.subarray(0, 33),
+        chunk,
+        png.subarray(33),
+      ]);
+
+      const upright = await Pixyelator.fromImage(oriented);
+      const uprightPixels = await upright.pixelate(2, 3).toImageData();
+      expect([uprightPixels.width, uprightPixels.height]).toEqual([2, 3]);
+      expect(reds(uprightPixels)).toEqual([3, 0, 4, 1, 5, 2]);
+
+      // Crop the right square, turn it around and mirror it back
+      const transformed = await Pixyelator.fromImage(image, {
+        crop: { x: 1, y: 0, width: 2, height: 2 },
+        rotate: 180,
+        flipHorizontal: true,
+      });
+      expect(reds(await transformed.pixelate(2, 2).toImageData())).toEqual([
+        4, 5, 1, 2,
+      ]);
+
+      await expect(Pixyelator.fromImage(image, { rotate: 45 })).rejects.toThrow(
+        "Rotation must be a multiple of 90 degrees"
+      );
+      await expect(
+        Pixyelator.fromImage(image, {
+          crop: { x: 2, y: 0, width: 2, height: 2 },
+        })
+      ).rejects.toThrow("Crop must fit inside the image");
+    });
+
+    test("should replace semi-transparent pixels under regions", async () => {
+      // 8x8 red and blue checkerboard at half alpha
+      const data = new Uint8ClampedArray(8 * 8 * 4);
+      for (let i = 0; i < 64; i++) {
+        const red = ((i % 8) + Math.floor(i / 8)) % 2 === 0;
+        data.set(red ? [255, 0, 0, 128] : [0, 0, 255, 128], i * 4);
+      }
+      const pixyelator = await Pixyelator.fromImage({
+        width: 8,
+        height: 8,
+        data,
+      });
+
+      const whole = await pixyelator.pixelate(1, 1).toImageData();
+      const region = await pixyelator
+        .pixelate(1, 1, { regions: [{ x: 0, y: 0, width: 8, height: 8 }] })
+        .toImageData();
+      expect(Array.from(whole.data.subarray(0, 4))).toEqual([127, 0, 127, 128]);
+      expect(region.data).toEqual(whole.data);
+    });
+
+    test("should fill in a region's missing block count", async () => {
+      const data = new Uint8ClampedArray(16 * 16 * 4).fill(255);
+      const pixyelator = await Pixyelator.fromImage({
+        width: 16,
+        height: 16,
+        data,
+      });
+
+      // The missing count comes from the image's 4px blocks
+      const [onlyX, onlyY] = await pixyelator
+        .pixelate(4, 4, {
+          regions: [
+            { x: 0, y: 0, width: 8, height: 8, xPixels: 1 },
+            { x: 8, y: 8, width: 8, height: 8, yPixels: 4 },
+          ],
+        })
+        .getBlocks();
+      expect([onlyX.xPixels, onlyX.yPixels]).toEqual([1, 2]);
+      expect([onlyY.xPixels, onlyY.yPixels]).toEqual([2, 4]);
+    });
+
+    test("should sample the median from a pixel in the block", async () => {
+      // Red, green and blue have a per-channel median of black, which isn't
+      // in the block
+      const pixyelator = await Pixyelator.fromImage({
+        width: 3,
+        height: 1,
+        data: new Uint8ClampedArray([
+          255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255,
+        ]),
+      });
+      const { colors } = await pixyelator
+        .pixelate(1, 1, { sampling: "median" })
+        .getBlocks();
+
+      expect(Array.from(colors)).toEqual([255, 0, 0, 255]);
+    });
+
+    test("should pixelate every frame of an animated GIF", async () => {
+      const pixyelator = await Pixyelator.fromImage(
+        new URL("./fixtures/images/animated/input/squares.gif", import.meta.url)
+          .pathname
+      );
+      const gif = decodeGIF(
+        await pixyelator
+          .pixelate(2, 2, { outputSize: "grid" })
+          .toGIF({ palette: "global" })
+      );
+
+      expect(gif.width).toBe(2);
+      expect(gif.frames.map(({ delay }) => delay)).toEqual([100, 200, 300]);
+      const pixels = gif.frames.map(({ data }) =>
+        Array.from(data.subarray(0, 4)).concat(Array.from(data.subarray(4, 8)))
+      );
+      expect(pixels).toEqual([
+        [255, 0, 0, 255, 255, 0, 0, 255],
+        [191, 63, 0, 255, 191, 63, 0, 255],
+        [0, 0, 255, 255, 255, 0, 0, 255],
+      ]);
+    });
+
+    test("should pixelate every frame of an animated PNG", async () => {
+      const pixyelator = await Pixyelator.fromImage(
+        new URL("./fixtures/images/animated/input/squares.png", import.meta.url)
+          .pathname
+      );
+      const gif = decodeGIF(
+        await pixyelator
+          .pixelate(2, 2, { outputSize: "grid" })
+          .toGIF({ palette: "global" })
+      );
+
+      expect(gif.frames.map(({ delay }) => delay)).toEqual([100, 200, 300]);
+      expect(Array.from(gif.frames[2].data.subarray(0, 4))).toEqual([
+        0, 0, 255, 255,
+      ]);
+    });
+
+    test("should reject unsupported inputs", async () => {
+      await expect(Pixyelator.fromImage(42)).rejects.toThrow(
+        "Unsupported image type"
+      );
+      await expect(
+        Pixyelator.fromImage(new Uint8Array([1, 2, 3]))
+      ).rejects.toThrow("PNG");
+      await expect(
+        Pixyelator.fromImage(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]))
+      ).rejects.toThrow("Unsupported image format: JPEG");
+    });
+
+    test("should read images from a fetch Response", async () => {
+      const bytes = await readFile(inputPath);
+      const pixyelator = await Pixyelator.fromImage(new Response(bytes));
+      const expected = await Pixyelator.fromImage(bytes);
+
+      const { colors } = await pixyelator.pixelate(4, 4).getBlocks();
+      expect(colors).toEqual(
+        (await expected.pixelate(4, 4).getBlocks()).colors
+      );
+    });
+  });
+
+  test("should import the browser entry without a DOM", async () => {
+    // Server rendering and prerendering import it before any browser exists
+    const browserEntry =
+      process.env.TEST_DIST === "true" ? "../dist/index.min.js" : "../index.js";
+    const { Pixyelator: BrowserPixyelator } = await import(browserEntry);
+
+    expect(typeof BrowserPixyelator.fromImage).toBe("function");
+  });
+});
@@ -757,6 +757,2010 @@ test.describe("Pixyelator OOP API", () => {
     });
   });
 
+  test.describe("Region Pixelation Tests", () => {
+    test("should leave pixels outside regions untouched", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const imagePath =
+            "/tests/fixtures/images/frutiger/input/frutiger.png";
+          const pixyelator = await window.Pixyelator.fromImage(imagePath);
+          await pixyelator.pixelate(8, 8, {
+            regions: [{ x: 0, y: 0, width: 50, height: 50 }],
+          });
+          const canvas = pixyelator.toCanvas();
+
+          const img = new Image();
+          img.src = imagePath;
+          await img.decode();
+          const original = document.createElement("canvas");
+          original.width = img.naturalWidth;
+          original.height = img.naturalHeight;
+          original.getContext("2d").drawImage(img, 0, 0);
+
+          const x = canvas.width - 1;
+          const y = canvas.height - 1;
+          const actual = canvas.getContext("2d").getImageData(x, y, 1, 1).data;
+          const expected = original
+            .getContext("2d")
+            .getImageData(x, y, 1, 1).data;
+
+          return {
+            success: true,
+            sameSize:
+              canvas.width === img.naturalWidth &&
+              canvas.height === img.naturalHeight,
+            untouched: actual.every((value, i) => value === expected[i]),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.sameSize).toBe(true);
+      expect(result.untouched).toBe(true);
+    });
+
+    test("should pixelate each region with its own block count", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(8, 8, {
+            regions: [
+              { x: 0, y: 0, width: 40, height: 40, xPixels: 1, yPixels: 1 },
+            ],
+          });
+          const data = pixyelator
+            .toCanvas()
+            .getContext("2d")
+            .getImageData(0, 0, 40, 40).data;
+
+          let uniform = true;
+          for (let i = 4; i < data.length; i++) {
+            if (data[i] !== data[i % 4]) {
+              uniform = false;
+              break;
+            }
+          }
+
+          return { success: true, uniform };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.uniform).toBe(true);
+    });
+
+    test("should replace semi-transparent pixels under regions", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          // 8x8 red and blue checkerboard at half alpha
+          const image = new ImageData(8, 8);
+          for (let i = 0; i < 64; i++) {
+            const red = ((i % 8) + Math.floor(i / 8)) % 2 === 0;
+            image.data.set(red ? [255, 0, 0, 128] : [0, 0, 255, 128], i * 4);
+          }
+          const pixyelator = await window.Pixyelator.fromImage(image);
+          const read = () =>
+            pixyelator.toCanvas().getContext("2d").getImageData(0, 0, 8, 8)
+              .data;
+
+          await pixyelator.pixelate(1, 1);
+          const whole = read();
+          await pixyelator.pixelate(1, 1, {
+            regions: [{ x: 0, y: 0, width: 8, height: 8 }],
+          });
+          const region = read();
+
+          return {
+            success: true,
+            // Canvas readback is premultiplied, so allow for rounding
+            same: region.every((value, i) => Math.abs(value - whole[i]) <= 1),
+            flat: region.every((value, i) => value === region[i % 4]),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.same).toBe(true);
+      expect(result.flat).toBe(true);
+    });
+
+    test("should accept a region with only one block count", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const [region] = await pixyelator
+            .pixelate(8, 8, {
+              regions: [{ x: 0, y: 0, width: 40, height: 40, xPixels: 2 }],
+            })
+            .getBlocks();
+
+          return {
+            success: true,
+            xPixels: region.xPixels,
+            yPixels: region.yPixels,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.xPixels).toBe(2);
+      expect(Number.isInteger(result.yPixels)).toBe(true);
+      expect(result.yPixels).toBeGreaterThan(0);
+    });
+
+    test("should reject invalid regions", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const pixyelator = await window.Pixyelator.fromImage(
+          "/tests/fixtures/images/frutiger/input/frutiger.png"
+        );
+        const errors = [];
+
+        try {
+          await pixyelator.pixelate(8, 8, { regions: { x: 0, y: 0 } });
+        } catch (error) {
+          errors.push("not-array");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, {
+            regions: [{ x: 0, y: 0, width: 0, height: 10 }],
+          });
+        } catch (error) {
+          errors.push("zero-width");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, {
+            regions: [{ x: 0, y: 0, width: 10, height: 10, xPixels: 1.5 }],
+          });
+        } catch (error) {
+          errors.push("fractional-pixels");
+        }
+
+        return { success: true, errors };
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toContain("not-array");
+      expect(result.errors).toContain("zero-width");
+      expect(result.errors).toContain("fractional-pixels");
+    });
+  });
+
+  test.describe("Palette Quantization Tests", () => {
+    test("should only output colors from a named palette", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(16, 16, {
+            palette: "gameboy",
+            colorDistance: "ciede2000",
+          });
+          const canvas = pixyelator.toCanvas();
+          const data = canvas
+            .getContext("2d")
+            .getImageData(0, 0, canvas.width, canvas.height).data;
+
+          const palette = ["15,56,15", "48,98,48", "139,172,15", "155,188,15"];
+          let inPalette = true;
+          for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] !== 255) continue;
+            const color = `${data[i]},${data[i + 1]},${data[i + 2]}`;
+            if (!palette.includes(color)) {
+              inPalette = false;
+              break;
+            }
+          }
+
+          return { success: true, inPalette };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.inPalette).toBe(true);
+    });
+
+    test("should limit an automatic palette to paletteSize colors", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(16, 16, {
+            palette: "auto",
+            paletteSize: 4,
+          });
+          const canvas = pixyelator.toCanvas();
+          const data = canvas
+            .getContext("2d")
+            .getImageData(0, 0, canvas.width, canvas.height).data;
+
+          const colors = new Set();
+          for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] !== 255) continue;
+            colors.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+          }
+
+          return { success: true, colorCount: colors.size };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.colorCount).toBeLessThanOrEqual(4);
+    });
+
+    test("should reject unknown palettes and colors", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const pixyelator = await window.Pixyelator.fromImage(
+          "/tests/fixtures/images/frutiger/input/frutiger.png"
+        );
+        const errors = [];
+
+        try {
+          await pixyelator.pixelate(8, 8, { palette: "nes-but-better" });
+        } catch (error) {
+          errors.push("unknown-name");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, { palette: ["#12345z"] });
+        } catch (error) {
+          errors.push("bad-color");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, {
+            palette: "cga",
+            colorDistance: "manhattan",
+          });
+        } catch (error) {
+          errors.push("bad-distance");
+        }
+
+        return { success: true, errors };
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toContain("unknown-name");
+      expect(result.errors).toContain("bad-color");
+      expect(result.errors).toContain("bad-distance");
+    });
+  });
+
+  test.describe("Dithering Tests", () => {
+    test("should dither grayscale to 1-bit black and white", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(32, 32, {
+            grayscale: true,
+            dither: "floyd-steinberg",
+          });
+          const canvas = pixyelator.toCanvas();
+          const data = canvas
+            .getContext("2d")
+            .getImageData(0, 0, canvas.width, canvas.height).data;
+
+          let oneBit = true;
+          for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] !== 255) continue;
+            if (
+              (data[i] !== 0 && data[i] !== 255) ||
+              data[i] !== data[i + 1] ||
+              data[i] !== data[i + 2]
+            ) {
+              oneBit = false;
+              break;
+            }
+          }
+
+          return { success: true, oneBit };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.oneBit).toBe(true);
+    });
+
+    test("should differ from undithered output with a palette", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const plain = await pixyelator
+            .pixelate(32, 32, { palette: "cga" })
+            .toDataURL();
+          const dithered = await pixyelator
+            .pixelate(32, 32, { palette: "cga", dither: "bayer4" })
+            .toDataURL();
+
+          return { success: true, differs: plain !== dithered };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.differs).toBe(true);
+    });
+
+    test("should reject invalid dither options", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const pixyelator = await window.Pixyelator.fromImage(
+          "/tests/fixtures/images/frutiger/input/frutiger.png"
+        );
+        const errors = [];
+
+        try {
+          await pixyelator.pixelate(8, 8, {
+            palette: "cga",
+            dither: "bayer3",
+          });
+        } catch (error) {
+          errors.push("unknown-mode");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, { dither: "atkinson" });
+        } catch (error) {
+          errors.push("nothing-to-dither");
+        }
+
+        return { success: true, errors };
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toContain("unknown-mode");
+      expect(result.errors).toContain("nothing-to-dither");
+    });
+  });
+
+  test.describe("Sampling Strategy Tests", () => {
+    test("should only output colors present in the source", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const imagePath =
+            "/tests/fixtures/images/frutiger/input/frutiger.png";
+          const img = new Image();
+          img.src = imagePath;
+          await img.decode();
+          const original = document.createElement("canvas");
+          original.width = img.naturalWidth;
+          original.height = img.naturalHeight;
+          original.getContext("2d").drawImage(img, 0, 0);
+          const source = original
+            .getContext("2d")
+            .getImageData(0, 0, original.width, original.height).data;
+
+          const sourceColors = new Set();
+          for (let i = 0; i < source.length; i += 4) {
+            sourceColors.add(source.slice(i, i + 4).join(","));
+          }
+
+          const pixyelator = await window.Pixyelator.fromImage(imagePath);
+          const checks = {};
+          for (const sampling of ["median", "center", "brightest", "darkest"]) {
+            await pixyelator.pixelate(16, 16, { sampling });
+            const canvas = pixyelator.toCanvas();
+            const data = canvas
+              .getContext("2d")
+              .getImageData(0, 0, canvas.width, canvas.height).data;
+
+            checks[sampling] = true;
+            for (let i = 0; i < data.length; i += 4) {
+              if (data[i + 3] !== 255) continue;
+              if (!sourceColors.has(data.slice(i, i + 4).join(","))) {
+                checks[sampling] = false;
+                break;
+              }
+            }
+          }
+
+          return { success: true, checks };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.checks).toEqual({
+        median: true,
+        center: true,
+        brightest: true,
+        darkest: true,
+      });
+    });
+
+    test("should match the default output with mean sampling", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const byDefault = await pixyelator.pixelate(4, 4).toDataURL();
+          const mean = await pixyelator
+            .pixelate(4, 4, { sampling: "mean" })
+            .toDataURL();
+          const median = await pixyelator
+            .pixelate(4, 4, { sampling: "median" })
+            .toDataURL();
+
+          return {
+            success: true,
+            meanMatches: byDefault === mean,
+            medianDiffers: byDefault !== median,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.meanMatches).toBe(true);
+      expect(result.medianDiffers).toBe(true);
+    });
+
+    test("should reject unknown sampling modes", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(8, 8, { sampling: "mode" });
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, errorMessage: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errorMessage).toContain("sampling");
+    });
+  });
+
+  test.describe("Output Size Tests", () => {
+    test("should render the raw block grid", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const blob = await pixyelator
+            .pixelate(32, 16, { outputSize: "grid" })
+            .toBlob();
+          const bitmap = await createImageBitmap(blob);
+
+          return {
+            success: true,
+            width: bitmap.width,
+            height: bitmap.height,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.width).toBe(32);
+      expect(result.height).toBe(16);
+    });
+
+    test("should upscale each block by an integer scale", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const canvas = await pixyelator
+            .pixelate(4, 4, { scale: 8 })
+            .toCanvas();
+          const data = canvas.getContext("2d").getImageData(0, 0, 8, 8).data;
+
+          let uniform = true;
+          for (let i = 4; i < data.length; i++) {
+            if (data[i] !== data[i % 4]) {
+              uniform = false;
+              break;
+            }
+          }
+
+          return {
+            success: true,
+            width: canvas.width,
+            height: canvas.height,
+            uniform,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.width).toBe(32);
+      expect(result.height).toBe(32);
+      expect(result.uniform).toBe(true);
+    });
+
+    test("should fit the image into an output box", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const dataURL = await pixyelator
+            .pixelate(8, 8, { outputSize: { width: 64, height: 48 } })
+            .toDataURL();
+          const img = new Image();
+          img.src = dataURL;
+          await img.decode();
+
+          return {
+            success: true,
+            width: img.naturalWidth,
+            height: img.naturalHeight,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.width).toBe(64);
+      expect(result.height).toBe(48);
+    });
+
+    test("should reject invalid output sizes", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const pixyelator = await window.Pixyelator.fromImage(
+          "/tests/fixtures/images/frutiger/input/frutiger.png"
+        );
+        const errors = [];
+
+        try {
+          await pixyelator.pixelate(8, 8, { scale: 1.5 });
+        } catch (error) {
+          errors.push("fractional-scale");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, { scale: 2, outputSize: "grid" });
+        } catch (error) {
+          errors.push("scale-and-size");
+        }
+
+        try {
+          await pixyelator.pixelate(8, 8, { outputSize: "huge" });
+        } catch (error) {
+          errors.push("unknown-size");
+        }
+
+        return { success: true, errors };
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toContain("fractional-scale");
+      expect(result.errors).toContain("scale-and-size");
+      expect(result.errors).toContain("unknown-size");
+    });
+  });
+
+  test.describe("Block Grid Tests", () => {
+    test("should expose block colors and source rectangles", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const grid = await pixyelator.pixelate(4, 4).getBlocks();
+          const imageData = pixyelator.toImageData();
+
+          // Each block's color should match what was drawn at its origin
+          let colorsMatch = true;
+          let area = 0;
+          for (let i = 0; i < grid.colors.length; i += 4) {
+            const [x, y, w, h] = grid.rects.slice(i, i + 4);
+            area += w * h;
+            const offset = (y * imageData.width + x) * 4;
+            for (let c = 0; c < 4; c++) {
+              if (imageData.data[offset + c] !== grid.colors[i + c]) {
+                colorsMatch = false;
+              }
+            }
+          }
+
+          return {
+            success: true,
+            xPixels: grid.xPixels,
+            yPixels: grid.yPixels,
+            colorCount: grid.colors.length,
+            coversImage: area === imageData.width * imageData.height,
+            colorsMatch,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.xPixels).toBe(4);
+      expect(result.yPixels).toBe(4);
+      expect(result.colorCount).toBe(64);
+      expect(result.coversImage).toBe(true);
+      expect(result.colorsMatch).toBe(true);
+    });
+
+    test("should return ImageData from the chainable promise", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const imageData = await pixyelator
+            .pixelate(4, 4, { outputSize: "grid" })
+            .toImageData();
+
+          return {
+            success: true,
+            isImageData: imageData instanceof ImageData,
+            width: imageData.width,
+            height: imageData.height,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.isImageData).toBe(true);
+      expect(result.width).toBe(4);
+      expect(result.height).toBe(4);
+    });
+
+    test("should throw when getting blocks before pixelating", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          pixyelator.getBlocks();
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, errorMessage: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errorMessage).toContain("pixelate");
+    });
+  });
+
+  test.describe("Worker Pool Tests", () => {
+    test("should run concurrent pixelations on a small pool", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          window.Pixyelator.warmUpWorkerPool({ size: 2 });
+          const instances = await Promise.all(
+            [0, 1, 2, 3].map(() =>
+              window.Pixyelator.fromImage(
+                "/tests/fixtures/images/frutiger/input/frutiger.png"
+              )
+            )
+          );
+          const dataURLs = await Promise.all(
+            instances.map((pixyelator) => pixyelator.pixelate(4, 4).toDataURL())
+          );
+
+          return {
+            success: true,
+            allSame: dataURLs.every((dataURL) => dataURL === dataURLs[0]),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.allSame).toBe(true);
+    });
+
+    test("should settle pending work on terminate and recover", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const pending = pixyelator.pixelate(100, 100).then(
+            () => "resolved",
+            (error) => error.message
+          );
+          window.Pixyelator.terminateWorkerPool();
+          const outcome = await pending;
+
+          const blob = await pixyelator.pixelate(4, 4).toBlob();
+          return {
+            success: true,
+            outcome,
+            recovered: blob instanceof Blob,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.outcome).toMatch(/resolved|terminated/);
+      expect(result.recovered).toBe(true);
+    });
+
+    test("should reject invalid pool sizes", async ({ page }) => {
+      const result = await page.evaluate(() => {
+        try {
+          window.Pixyelator.configureWorkerPool({ size: 0 });
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, errorMessage: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errorMessage).toContain("pool size");
+    });
+  });
+
+  test.describe("Cancellation Tests", () => {
+    test("should reject with an AbortError when aborted", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const controller = new AbortController();
+          const pending = pixyelator.pixelate(100, 100, {
+            signal: controller.signal,
+          });
+          controller.abort();
+
+          try {
+            await pending;
+            return { success: false, error: "Should have been aborted" };
+          } catch (error) {
+            return { success: true, errorName: error.name };
+          }
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errorName).toBe("AbortError");
+    });
+
+    test("should only paint the latest call when superseding", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const imagePath =
+            "/tests/fixtures/images/frutiger/input/frutiger.png";
+          const reference = await window.Pixyelator.fromImage(imagePath);
+          const expected = await reference.pixelate(4, 4).toDataURL();
+
+          const pixyelator = await window.Pixyelator.fromImage(imagePath, {
+            supersede: true,
+          });
+          const calls = [
+            pixyelator.pixelate(100, 100),
+            pixyelator.pixelate(32, 32),
+            pixyelator.pixelate(4, 4),
+          ];
+          const outcomes = await Promise.all(
+            calls.map((call) =>
+              call.then(
+                () => "resolved",
+                (error) => error.name
+              )
+            )
+          );
+
+          return {
+            success: true,
+            outcomes,
+            latestPainted: pixyelator.toDataURL() === expected,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.outcomes).toEqual(["AbortError", "AbortError", "resolved"]);
+      expect(result.latestPainted).toBe(true);
+    });
+
+    test("should stop listening to the caller's signal once calls settle", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png",
+            { supersede: true }
+          );
+          const { signal } = new AbortController();
+          let listeners = 0;
+          const add = signal.addEventListener.bind(signal);
+          const remove = signal.removeEventListener.bind(signal);
+          signal.addEventListener = (...args) => {
+            listeners++;
+            add(...args);
+          };
+          signal.removeEventListener = (...args) => {
+            listeners--;
+            remove(...args);
+          };
+
+          await Promise.allSettled([
+            pixyelator.pixelate(32, 32, { signal }),
+            pixyelator.pixelate(4, 4, { signal }),
+          ]);
+
+          return { success: true, listeners };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.listeners).toBe(0);
+    });
+  });
+
+  test.describe("Progress Tests", () => {
+    test("should report increasing progress ending at 1", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const reports = [];
+          await pixyelator.pixelate(100, 100, {
+            onProgress: (progress) => reports.push(progress),
+          });
+
+          return {
+            success: true,
+            reports,
+            increasing: reports.every((p, i) => i === 0 || p > reports[i - 1]),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.reports.length).toBeGreaterThan(0);
+      expect(result.increasing).toBe(true);
+      expect(result.reports[result.reports.length - 1]).toBe(1);
+    });
+
+    test("should reject a non-function onProgress", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          pixyelator.pixelate(10, 10, { onProgress: true });
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBe("onProgress must be a function");
+    });
+  });
+
+  test.describe("Color Space Tests", () => {
+    test("should average in linear light", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          // Black and white stripes
+          const canvas = document.createElement("canvas");
+          canvas.width = 8;
+          canvas.height = 8;
+          const ctx = canvas.getContext("2d");
+          ctx.fillStyle = "#000";
+          ctx.fillRect(0, 0, 8, 8);
+          ctx.fillStyle = "#fff";
+          for (let x = 0; x < 8; x += 2) {
+            ctx.fillRect(x, 0, 1, 8);
+          }
+
+          const pixyelator = await window.Pixyelator.fromImage(
+            canvas.toDataURL()
+          );
+          const srgb = await pixyelator.pixelate(1, 1).getBlocks();
+          const linear = await pixyelator
+            .pixelate(1, 1, { colorSpace: "linear" })
+            .getBlocks();
+          const linearGray = await pixyelator
+            .pixelate(1, 1, { colorSpace: "linear", grayscale: true })
+            .getBlocks();
+
+          return {
+            success: true,
+            srgb: Array.from(srgb.colors),
+            linear: Array.from(linear.colors),
+            linearGray: Array.from(linearGray.colors),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.srgb).toEqual([127, 127, 127, 255]);
+      expect(result.linear).toEqual([188, 188, 188, 255]);
+      expect(result.linearGray).toEqual([188, 188, 188, 255]);
+    });
+
+    test("should reject an unknown color space", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          pixyelator.pixelate(10, 10, { colorSpace: "lab" });
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBe('Color space must be "srgb" or "linear"');
+    });
+  });
+
+  test.describe("Alpha Mode Tests", () => {
+    test("should not darken colors next to transparent pixels", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          // Opaque red with a transparent black column on the right
+          const canvas = document.createElement("canvas");
+          canvas.width = 4;
+          canvas.height = 4;
+          const ctx = canvas.getContext("2d");
+          ctx.fillStyle = "#f00";
+          ctx.fillRect(0, 0, 3, 4);
+
+          const pixyelator = await window.Pixyelator.fromImage(
+            canvas.toDataURL()
+          );
+          const average = await pixyelator.pixelate(1, 1).getBlocks();
+          const threshold = await pixyelator
+            .pixelate(1, 1, { alphaMode: "threshold" })
+            .getBlocks();
+          const flatten = await pixyelator
+            .pixelate(1, 1, { alphaMode: "flatten", background: "#000" })
+            .getBlocks();
+
+          return {
+            success: true,
+            average: Array.from(average.colors),
+            threshold: Array.from(threshold.colors),
+            flatten: Array.from(flatten.colors),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.average).toEqual([255, 0, 0, 191]);
+      expect(result.threshold).toEqual([255, 0, 0, 255]);
+      expect(result.flatten).toEqual([191, 0, 0, 255]);
+    });
+
+    test("should reject an unknown alpha mode", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          pixyelator.pixelate(10, 10, { alphaMode: "ignore" });
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBe("Unsupported alpha mode: ignore");
+    });
+  });
+
+  test.describe("Encoding Tests", () => {
+    test("should encode JPEG and WebP with a quality", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const pixelated = pixyelator.pixelate(32, 32);
+
+          const jpeg = await pixelated.toBlob({
+            type: "image/jpeg",
+            quality: 0.5,
+          });
+          const webp = await pixelated.toDataURL({ type: "image/webp" });
+          const buffer = await pixelated.toArrayBuffer({ type: "image/jpeg" });
+          const bytes = new Uint8Array(buffer);
+
+          return {
+            success: true,
+            jpegType: jpeg.type,
+            webpPrefix: webp.slice(0, 16),
+            jpegMagic: [bytes[0], bytes[1]],
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.jpegType).toBe("image/jpeg");
+      expect(result.webpPrefix).toBe("data:image/webp;");
+      expect(result.jpegMagic).toEqual([0xff, 0xd8]);
+    });
+
+    test("should reject types the browser cannot encode", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(4, 4);
+
+          const errors = [];
+          await pixyelator
+            .toBlob({ type: "image/x-unknown" })
+            .catch((error) => errors.push(error.message));
+          try {
+            pixyelator.toDataURL({ type: "image/x-unknown" });
+          } catch (error) {
+            errors.push(error.message);
+          }
+          try {
+            pixyelator.toDataURL({ type: "image/jpeg", quality: 2 });
+          } catch (error) {
+            errors.push(error.message);
+          }
+
+          return { success: true, errors };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toEqual([
+        "Encoding to image/x-unknown is not supported by this browser",
+        "Encoding to image/x-unknown is not supported by this browser",
+        "Quality must be a number between 0 and 1",
+      ]);
+    });
+  });
+
+  test.describe("Cell Shape Tests", () => {
+    for (const shape of ["hexagon", "circle", "halftone"]) {
+      test(`should render ${shape} cells at output size`, async ({ page }) => {
+        const result = await page.evaluate(async (shape) => {
+          try {
+            const pixyelator = await window.Pixyelator.fromImage(
+              "/tests/fixtures/images/frutiger/input/frutiger.png"
+            );
+            const imageData = await pixyelator
+              .pixelate(16, 16, { shape, shapeBackground: "#000" })
+              .toImageData();
+            const square = await pixyelator.pixelate(16, 16).toImageData();
+
+            let differences = 0;
+            for (let i = 0; i < imageData.data.length; i++) {
+              if (imageData.data[i] !== square.data[i]) differences++;
+            }
+
+            return {
+              success: true,
+              width: imageData.width,
+              height: imageData.height,
+              naturalWidth: square.width,
+              naturalHeight: square.height,
+              differences,
+            };
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+        }, shape);
+
+        expect(result.success).toBe(true);
+        expect(result.width).toBe(result.naturalWidth);
+        expect(result.height).toBe(result.naturalHeight);
+        expect(result.differences).toBeGreaterThan(0);
+      });
+    }
+
+    test("should draw the shape background between circles", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = 8;
+          canvas.height = 8;
+          const ctx = canvas.getContext("2d");
+          ctx.fillStyle = "#fff";
+          ctx.fillRect(0, 0, 8, 8);
+
+          const pixyelator = await window.Pixyelator.fromImage(
+            canvas.toDataURL()
+          );
+          const imageData = await pixyelator
+            .pixelate(1, 1, { shape: "circle", shapeBackground: "#000" })
+            .toImageData();
+
+          return {
+            success: true,
+            corner: Array.from(imageData.data.slice(0, 4)),
+            center: Array.from(
+              imageData.data.slice((4 * 8 + 4) * 4, (4 * 8 + 4) * 4 + 4)
+            ),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.corner).toEqual([0, 0, 0, 255]);
+      expect(result.center).toEqual([255, 255, 255, 255]);
+    });
+
+    test("should reject unknown shapes", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          pixyelator.pixelate(10, 10, { shape: "triangle" });
+          return { success: false, error: "Should have thrown" };
+        } catch (error) {
+          return { success: true, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBe("Unsupported shape: triangle");
+    });
+  });
+
+  test.describe("Grid Line and Cell Gap Tests", () => {
+    test("should draw grid lines into every output", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = 4;
+          canvas.height = 4;
+          const ctx = canvas.getContext("2d");
+          ctx.fillStyle = "#fff";
+          ctx.fillRect(0, 0, 4, 4);
+
+          const pixyelator = await window.Pixyelator.fromImage(
+            canvas.toDataURL()
+          );
+          const pixelated = pixyelator.pixelate(2, 2, {
+            gridLines: { color: "#f00" },
+            scale: 4,
+          });
+          const imageData = await pixelated.toImageData();
+
+          // Decode the PNG export to check it carries the lines too
+          const blob = await pixelated.toBlob();
+          const bitmap = await createImageBitmap(blob);
+          const check = document.createElement("canvas");
+          check.width = bitmap.width;
+          check.height = bitmap.height;
+          const checkCtx = check.getContext("2d");
+          checkCtx.drawImage(bitmap, 0, 0);
+
+          const pixel = (data, x, y) =>
+            Array.from(data.slice((y * 8 + x) * 4, (y * 8 + x) * 4 + 4));
+          const exported = checkCtx.getImageData(0, 0, 8, 8).data;
+
+          return {
+            success: true,
+            cell: pixel(imageData.data, 1, 1),
+            line: pixel(imageData.data, 4, 1),
+            exportedLine: pixel(exported, 1, 4),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.cell).toEqual([255, 255, 255, 255]);
+      expect(result.line).toEqual([255, 0, 0, 255]);
+      expect(result.exportedLine).toEqual([255, 0, 0, 255]);
+    });
+
+    test("should leave transparent gaps around cells", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = 4;
+          canvas.height = 4;
+          const ctx = canvas.getContext("2d");
+          ctx.fillStyle = "#fff";
+          ctx.fillRect(0, 0, 4, 4);
+
+          const pixyelator = await window.Pixyelator.fromImage(
+            canvas.toDataURL()
+          );
+          const imageData = await pixyelator
+            .pixelate(2, 2, { cellGap: 2, scale: 8 })
+            .toImageData();
+
+          const alphaAt = (x, y) => imageData.data[(y * 16 + x) * 4 + 3];
+
+          return {
+            success: true,
+            cellAlpha: alphaAt(4, 4),
+            gapAlpha: alphaAt(8, 4),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.cellAlpha).toBe(255);
+      expect(result.gapAlpha).toBe(0);
+    });
+  });
+
+  test.describe("Animated GIF Tests", () => {
+    test("should pixelate every frame and encode them back", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/animated/input/squares.gif"
+          );
+          const progress = [];
+          const pixelated = pixyelator.pixelate(2, 2, {
+            outputSize: "grid",
+            onProgress: (value) => progress.push(value),
+          });
+
+          const imageData = await pixelated.toImageData();
+          const gif = await pixelated.toGIF({ palette: "global" });
+          const bytes = new Uint8Array(await gif.arrayBuffer());
+
+          // Every frame starts with a graphic control extension
+          let frames = 0;
+          for (let i = 0; i < bytes.length - 2; i++) {
+            if (
+              bytes[i] === 0x21 &&
+              bytes[i + 1] === 0xf9 &&
+              bytes[i + 2] === 4
+            ) {
+              frames++;
+            }
+          }
+
+          return {
+            success: true,
+            type: gif.type,
+            header: String.fromCharCode(...bytes.subarray(0, 6)),
+            frames,
+            firstFrame: Array.from(imageData.data),
+            lastProgress: progress[progress.length - 1],
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.type).toBe("image/gif");
+      expect(result.header).toBe("GIF89a");
+      expect(result.frames).toBe(3);
+      expect(result.firstFrame).toEqual(Array(4).fill([255, 0, 0, 255]).flat());
+      expect(result.lastProgress).toBe(1);
+    });
+
+    test("should pixelate every frame of an animated PNG", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/animated/input/squares.png"
+          );
+          const gif = await pixyelator
+            .pixelate(2, 2, { outputSize: "grid" })
+            .toGIF({ palette: "global" });
+          const bytes = new Uint8Array(await gif.arrayBuffer());
+
+          let frames = 0;
+          for (let i = 0; i < bytes.length - 2; i++) {
+            if (
+              bytes[i] === 0x21 &&
+              bytes[i + 1] === 0xf9 &&
+              bytes[i + 2] === 4
+            ) {
+              frames++;
+            }
+          }
+
+          return { success: true, frames };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.frames).toBe(3);
+    });
+
+    test("should encode a still image as a single-frame GIF", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const gif = await pixyelator.pixelate(8, 8).toGIF();
+
+          return { success: true, type: gif.type, size: gif.size };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.type).toBe("image/gif");
+      expect(result.size).toBeGreaterThan(0);
+    });
+  });
+
+  test.describe("Video Tests", () => {
+    test("should pixelate a MediaStream continuously", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const source = document.createElement("canvas");
+          source.width = 8;
+          source.height = 8;
+          const sourceCtx = source.getContext("2d");
+          let color = "#ff0000";
+          // Canvas streams only emit frames when the canvas changes
+          const timer = setInterval(() => {
+            sourceCtx.fillStyle = color;
+            sourceCtx.fillRect(0, 0, 8, 8);
+          }, 16);
+
+          const waitForPixel = async (pixyelator, expected) => {
+            for (let i = 0; i < 100; i++) {
+              const canvas = pixyelator.toCanvas();
+              if (canvas.width === 2) {
+                const pixel = Array.from(
+                  pixyelator.toImageData().data.subarray(0, 4)
+                );
+                if (pixel.join() === expected.join()) return pixel;
+              }
+              await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+            return null;
+          };
+
+          const pixyelator = await window.Pixyelator.fromVideo(
+            source.captureStream(30)
+          );
+          pixyelator.start(2, 2, { outputSize: "grid" });
+          const red = await waitForPixel(pixyelator, [255, 0, 0, 255]);
+
+          color = "#0000ff";
+          pixyelator.start(2, 2, { outputSize: "grid", grayscale: true });
+          const gray = await waitForPixel(pixyelator, [29, 29, 29, 255]);
+
+          const stream = pixyelator.toMediaStream(10);
+          const tracks = stream.getVideoTracks().length;
+
+          pixyelator.stop();
+          pixyelator.dispose();
+          clearInterval(timer);
+
+          return { success: true, red, gray, tracks };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.red).toEqual([255, 0, 0, 255]);
+      expect(result.gray).toEqual([29, 29, 29, 255]);
+      expect(result.tracks).toBe(1);
+    });
+
+    test("should reject invalid video sources", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const errors = [];
+        try {
+          await window.Pixyelator.fromVideo(42);
+        } catch (error) {
+          errors.push(error.message);
+        }
+
+        const pixyelator = await window.Pixyelator.fromImage(
+          "/tests/fixtures/images/frutiger/input/frutiger.png"
+        );
+        try {
+          pixyelator.start(4, 4);
+        } catch (error) {
+          errors.push(error.message);
+        }
+        try {
+          pixyelator.toMediaStream(-1);
+        } catch (error) {
+          errors.push(error.message);
+        }
+        return { errors };
+      });
+
+      expect(result.errors).toEqual([
+        "Unsupported video type",
+        "start() needs a video source, use fromVideo()",
+        "Frame rate must be a non-negative number",
+      ]);
+    });
+  });
+
+  test.describe("Block Size Tests", () => {
+    test("should derive counts from one count or a block size", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const url = "/tests/fixtures/images/frutiger/input/frutiger.png";
+          const image = new Image();
+          image.src = url;
+          await image.decode();
+          const { naturalWidth: width, naturalHeight: height } = image;
+
+          const pixyelator = await window.Pixyelator.fromImage(url);
+          const counts = async (promise) => {
+            const { xPixels, yPixels } = await promise.getBlocks();
+            return [xPixels, yPixels];
+          };
+
+          return {
+            success: true,
+            expected: {
+              single: [32, Math.round((32 * height) / width)],
+              blockSize: [Math.round(width / 16), Math.round(height / 16)],
+              clamp: [width, height],
+            },
+            single: await counts(pixyelator.pixelate(32)),
+            blockSize: await counts(pixyelator.pixelateByBlockSize(16)),
+            clamp: await counts(
+              pixyelator.pixelate(width * 2, height * 2, { oversize: "clamp" })
+            ),
+            upsampled: (
+              await pixyelator
+                .pixelate(width * 2, null, {
+                  oversize: "upsample",
+                  outputSize: "grid",
+                })
+                .toCanvas()
+            ).width,
+            width,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.single).toEqual(result.expected.single);
+      expect(result.blockSize).toEqual(result.expected.blockSize);
+      expect(result.clamp).toEqual(result.expected.clamp);
+      expect(result.upsampled).toBe(result.width * 2);
+    });
+  });
+
+  test.describe("Mask Tests", () => {
+    test("should only pixelate inside a canvas mask", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const source = document.createElement("canvas");
+          source.width = 8;
+          source.height = 1;
+          const sourceCtx = source.getContext("2d");
+          sourceCtx.fillStyle = "#ff0000";
+          sourceCtx.fillRect(0, 0, 4, 1);
+          sourceCtx.fillStyle = "#0000ff";
+          sourceCtx.fillRect(4, 0, 4, 1);
+
+          const mask = document.createElement("canvas");
+          mask.width = 8;
+          mask.height = 1;
+          const maskCtx = mask.getContext("2d");
+          maskCtx.fillStyle = "#ffffff";
+          maskCtx.fillRect(0, 0, 4, 1);
+
+          const pixyelator = await window.Pixyelator.fromImage(
+            source.toDataURL()
+          );
+          const red = async (options) => {
+            const { data } = await pixyelator
+              .pixelate(1, 1, options)
+              .toImageData();
+            return Array.from({ length: 8 }, (_, x) => data[x * 4]);
+          };
+
+          return {
+            success: true,
+            masked: await red({ mask }),
+            plainObject: await red({
+              mask: {
+                width: 8,
+                height: 1,
+                data: new Uint8Array(
+                  Array.from({ length: 8 }, (_, x) =>
+                    x < 4 ? [255, 255, 255, 255] : [0, 0, 0, 255]
+                  ).flat()
+                ),
+              },
+            }),
+            inverted: await red({
+              mask: new Uint8Array([255, 255, 255, 255, 0, 0, 0, 0]),
+              invertMask: true,
+            }),
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.masked).toEqual([127, 127, 127, 127, 0, 0, 0, 0]);
+      expect(result.plainObject).toEqual([127, 127, 127, 127, 0, 0, 0, 0]);
+      expect(result.inverted).toEqual([255, 255, 255, 255, 127, 127, 127, 127]);
+    });
+  });
+
+  test.describe("Color Filter Tests", () => {
+    test("should treat grayscale as a grayscale filter", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const shorthand = await pixyelator
+            .pixelate(16, 16, { grayscale: true })
+            .getBlocks();
+          const filtered = await pixyelator
+            .pixelate(16, 16, { filters: ["grayscale"] })
+            .getBlocks();
+          const sepia = await pixyelator
+            .pixelate(16, 16, {
+              filters: [{ type: "contrast", amount: 1.5 }, "sepia"],
+            })
+            .getBlocks();
+
+          return {
+            success: true,
+            same: shorthand.colors.every(
+              (value, i) => value === filtered.colors[i]
+            ),
+            // Sepia tones are warm: red over green over blue
+            warm:
+              sepia.colors[0] >= sepia.colors[1] &&
+              sepia.colors[1] >= sepia.colors[2],
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.same).toBe(true);
+      expect(result.warm).toBe(true);
+    });
+  });
+
+  test.describe("Pattern Tests", () => {
+    test("should chart the blocks as a bead pattern", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const { svg, json } = await pixyelator
+            .pixelate(24, 16)
+            .toPattern({ palette: "perler" });
+          const pattern = JSON.parse(json);
+          const parsed = new DOMParser().parseFromString(svg, "image/svg+xml");
+
+          let regionsError = null;
+          await pixyelator.pixelate(4, 4, {
+            regions: [{ x: 0, y: 0, width: 10, height: 10 }],
+          });
+          try {
+            pixyelator.toPattern();
+          } catch (error) {
+            regionsError = error.message;
+          }
+
+          return {
+            success: true,
+            validSVG: !parsed.querySelector("parsererror"),
+            size: [pattern.width, pattern.height],
+            stitches: pattern.legend.reduce((sum, { count }) => sum + count, 0),
+            codes: pattern.legend.every(({ code }) => code.startsWith("P")),
+            regionsError,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.validSVG).toBe(true);
+      expect(result.size).toEqual([24, 16]);
+      expect(result.stitches).toBe(24 * 16);
+      expect(result.codes).toBe(true);
+      expect(result.regionsError).toBe(
+        "Patterns can't be made from a pixelation with regions"
+      );
+    });
+  });
+
+  test.describe("SVG Output Tests", () => {
+    test("should draw the same blocks as the canvas", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          await pixyelator.pixelate(8, 6);
+          const blocks = pixyelator.getBlocks();
+          const svg = pixyelator.toSVG({ merge: "none" });
+          const root = new DOMParser()
+            .parseFromString(svg, "image/svg+xml")
+            .querySelector("svg");
+          const rects = [...root.querySelectorAll("rect")];
+          const first = rects.find(
+            (rect) =>
+              rect.getAttribute("x") === "0" && rect.getAttribute("y") === "0"
+          );
+          const hex = Array.from(blocks.colors.subarray(0, 3), (value) =>
+            value.toString(16).padStart(2, "0")
+          ).join("");
+
+          return {
+            success: true,
+            viewBox: root.getAttribute("viewBox"),
+            rectCount: rects.length,
+            firstFill: first?.getAttribute("fill"),
+            expectedFill: `#${hex}`,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.viewBox).toBe("0 0 8 6");
+      expect(result.rectCount).toBe(8 * 6);
+      expect(result.firstFill).toBe(result.expectedFill);
+    });
+
+    test("should reject pixelations with shapes, grid lines or cell gaps", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const pixyelator = await window.Pixyelator.fromImage(
+            "/tests/fixtures/images/frutiger/input/frutiger.png"
+          );
+          const errors = [];
+          for (const options of [
+            { shape: "hexagon" },
+            { gridLines: true },
+            { cellGap: 2 },
+          ]) {
+            try {
+              await pixyelator.pixelate(8, 6, options).toSVG();
+            } catch (error) {
+              errors.push(error.message);
+            }
+          }
+
+          return { success: true, errors };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toEqual(
+        Array(3).fill(
+          "SVGs can't be made from a pixelation with shapes, grid lines or cell gaps"
+        )
+      );
+    });
+  });
+
+  test.describe("Orientation and Source Transform Tests", () => {
+    test("should turn JPEGs upright from their EXIF orientation", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = 40;
+          canvas.height = 20;
+          const ctx = canvas.getContext("2d");
+          ctx.fillStyle = "#ff0000";
+          ctx.fillRect(0, 0, 20, 20);
+          ctx.fillStyle = "#0000ff";
+          ctx.fillRect(20, 0, 20, 20);
+          const jpeg = new Uint8Array(
+            await (
+              await new Promise((resolve) =>
+                canvas.toBlob(resolve, "image/jpeg", 1)
+              )
+            ).arrayBuffer()
+          );
+
+          // APP1 segment with orientation 6 (stored rotated 90° counterclockwise)
+          const tiff = [0x4d, 0x4d, 0, 42, 0, 0, 0, 8, 0, 1];
+          tiff.push(0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0, 0, 0, 0, 0);
+          const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+          const app1 = [0xff, 0xe1, 0, exif.length + 2, ...exif];
+          const oriented = new Blob([
+            jpeg.subarray(0, 2),
+            new Uint8Array(app1),
+            jpeg.subarray(2),
+          ]);
+
+          const pixyelator = await window.Pixyelator.fromImage(oriented);
+          const { colors, xPixels, yPixels } = await pixyelator
+            .pixelate(1, 2)
+            .getBlocks();
+
+          return {
+            success: true,
+            size: [xPixels, yPixels],
+            // Red ends up on top once the image is turned clockwise
+            topIsRed: colors[0] > 200 && colors[2] < 50,
+            bottomIsBlue: colors[4] < 50 && colors[6] > 200,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.size).toEqual([1, 2]);
+      expect(result.topIsRed).toBe(true);
+      expect(result.bottomIsBlue).toBe(true);
+    });
+
+    test("should crop, rotate and flip before pixelating", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const source = "/tests/fixtures/images/frutiger/input/frutiger.png";
+          const original = await window.Pixyelator.fromImage(source);
+          const { width, height } = await original.pixelate(8, 8).toCanvas();
+          const transformed = await window.Pixyelator.fromImage(source, {
+            crop: { x: 0, y: 0, width: 40, height: 30 },
+            rotate: 90,
+            flipVertical: true,
+          });
+          const canvas = await transformed.pixelate(3, 4).toCanvas();
+
+          let error = null;
+          try {
+            await window.Pixyelator.fromImage(source, {
+              crop: { x: width, y: 0, width: 1, height: height },
+            });
+          } catch (e) {
+            error = e.message;
+          }
+
+          return {
+            success: true,
+            size: [canvas.width, canvas.height],
+            error,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.size).toEqual([30, 40]);
+      expect(result.error).toBe("Crop must fit inside the image");
+    });
+  });
+
+  test.describe("Input Type Tests", () => {
+    test("should accept pixel sources and sniff binary input", async ({
+      page,
+    }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const url = "/tests/fixtures/images/frutiger/input/frutiger.png";
+          const bytes = new Uint8Array(await (await fetch(url)).arrayBuffer());
+          const reference = await window.Pixyelator.fromImage(url);
+          const expected = await reference.pixelate(4, 4).getBlocks();
+          const sameBlocks = async (source) => {
+            const pixyelator = await window.Pixyelator.fromImage(source);
+            const { colors } = await pixyelator.pixelate(4, 4).getBlocks();
+            return colors.every((value, i) => value === expected.colors[i]);
+          };
+
+          const original = await createImageBitmap(new Blob([bytes]));
+          const sources = {
+            uint8Array: bytes,
+            response: await fetch(url),
+            // Mislabeled bytes are decoded as what they are
+            mislabeledFile: new File([bytes], "image.jpg", {
+              type: "image/jpeg",
+            }),
+            imageBitmap: original,
+            imageData: (() => {
+              const copy = document.createElement("canvas");
+              copy.width = original.width;
+              copy.height = original.height;
+              const ctx = copy.getContext("2d");
+              ctx.drawImage(original, 0, 0);
+              return ctx.getImageData(0, 0, copy.width, copy.height);
+            })(),
+          };
+          const same = {};
+          for (const [name, source] of Object.entries(sources)) {
+            same[name] = await sameBlocks(source);
+          }
+
+          // Canvases are copied, so later drawing doesn't leak in
+          const canvas = document.createElement("canvas");
+          canvas.width = original.width;
+          canvas.height = original.height;
+          canvas.getContext("2d").drawImage(original, 0, 0);
+          const fromCanvas = await window.Pixyelator.fromImage(canvas);
+          canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+          const { colors } = await fromCanvas.pixelate(4, 4).getBlocks();
+          const copied = colors.every(
+            (value, i) => value === expected.colors[i]
+          );
+
+          const errors = [];
+          for (const source of [
+            new TextEncoder().encode("%PDF-1.7"),
+            new Uint8Array([1, 2, 3, 4]),
+          ]) {
+            try {
+              await window.Pixyelator.fromImage(source);
+            } catch (error) {
+              errors.push(error.message);
+            }
+          }
+
+          return { success: true, same, copied, errors };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.same).toEqual({
+        uint8Array: true,
+        response: true,
+        mislabeledFile: true,
+        imageBitmap: true,
+        imageData: true,
+      });
+      expect(result.copied).toBe(true);
+      expect(result.errors).toEqual([
+        "Unsupported image format: PDF",
+        "Unrecognized image data",
+      ]);
+    });
+
+    test("should sniff URLs whatever their extension", async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        try {
+          const gif = await (
+            await fetch("/tests/fixtures/images/animated/input/squares.gif")
+          ).blob();
+          const frameCounts = [];
+          for (const url of [
+            // Object URLs have no extension at all
+            URL.createObjectURL(gif),
+            "/tests/fixtures/images/animated/input/squares.gif?size=large",
+          ]) {
+            const pixyelator = await window.Pixyelator.fromImage(url);
+            const grids = await pixyelator.pixelate(2, 2).getBlocks();
+            frameCounts.push(grids.length);
+          }
+
+          return { success: true, frameCounts };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.frameCounts).toEqual([3, 3]);
+    });
+  });
+
   test.describe("Error Handling Tests", () => {
     test("should handle invalid pixel dimensions", async ({ page }) => {
       const result = await page.evaluate(async () => {
@@ -0,0 +1,199 @@
+/**
+ * The reason a signal was aborted with, or a generic AbortError
+ * @param {AbortSignal} signal - An aborted signal
+ * @returns {*} The rejection reason
+ */
+export function abortReason(signal) {
+  return (
+    signal.reason ?? new DOMException("The operation was aborted", "AbortError")
+  );
+}
+
+// Frees the bitmaps of a job that never reached a worker, since nothing
+// else holds on to them
+function closeBitmaps(transfer) {
+  for (const object of transfer) {
+    if (typeof ImageBitmap !== "undefined" && object instanceof ImageBitmap) {
+      object.close();
+    }
+  }
+}
+
+/**
+ * A fixed-size pool of module workers that are reused between jobs. Workers
+ * are started lazily (or all at once with warmUp()) and jobs queue up while
+ * every worker is busy.
+ */
+export class WorkerPool {
+  constructor(url, size) {
+    this._url = url;
+    this._size = size;
+    this._workers = new Set();
+    this._idle = [];
+    this._running = new Map();
+    this._queue = [];
+  }
+
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Change the number of workers. Extra idle workers are stopped now, busy
+   * ones once they finish their job.
+   * @param {number} size - Maximum number of workers
+   */
+  resize(size) {
+    this._size = size;
+    while (this._workers.size > this._size && this._idle.length > 0) {
+      this._discard(this._idle.pop());
+    }
+    this._drain();
+  }
+
+  /**
+   * Start every worker up front so the first jobs don't pay for startup
+   */
+  warmUp() {
+    while (this._workers.size < this._size) {
+      this._idle.push(this._spawn());
+    }
+  }
+
+  /**
+   * Post a message to the next free worker
+   * @param {*} message - Message for the worker
+   * @param {Transferable[]} [transfer=[]] - Objects to transfer with the message
+   * @param {Object} [options={}] - Job options
+   * @param {AbortSignal} [options.signal] - Aborts the job, terminating its worker if it already started
+   * @param {Function} [options.onProgress] - Called with the progress of { progress } messages the worker posts before its reply
+   * @returns {Promise<*>} Promise resolving to the data of the worker's reply
+   */
+  run(message, transfer = [], options = {}) {
+    const { signal, onProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+
+      const job = { message, transfer, onProgress, resolve, reject };
+
+      if (signal) {
+        const onAbort = () => this._abort(job, abortReason(signal));
+        signal.addEventListener("abort", onAbort, { once: true });
+        job.resolve = (data) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(data);
+        };
+        job.reject = (error) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(error);
+        };
+      }
+
+      this._queue.push(job);
+      this._drain();
+    });
+  }
+
+  /**
+   * Stop every worker and reject all queued and running jobs. The pool can
+   * still be used afterwards; workers are started again on demand.
+   */
+  terminate() {
+    const error = new Error("Worker pool was terminated");
+
+    for (const job of this._running.values()) {
+      job.reject(error);
+    }
+    for (const job of this._queue) {
+      closeBitmaps(job.transfer);
+      job.reject(error);
+    }
+    for (const worker of this._workers) {
+      worker.terminate();
+    }
+
+    this._workers.clear();
+    this._idle = [];
+    this._running.clear();
+    this._queue = [];
+  }
+
+  _abort(job, reason) {
+    if (this._queue.includes(job)) {
+      this._queue = this._queue.filter((queued) => queued !== job);
+      closeBitmaps(job.transfer);
+    } else {
+      // The only way to stop a job mid-flight is to stop its worker
+      for (const [worker, running] of this._running) {
+        if (running === job) {
+          this._running.delete(worker);
+          this._discard(worker);
+          this._drain();
+          break;
+        }
+      }
+    }
+    job.reject(reason);
+  }
+
+  _spawn() {
+    const worker = new Worker(this._url, { type: "module" });
+    this._workers.add(worker);
+    return worker;
+  }
+
+  _discard(worker) {
+    worker.terminate();
+    this._workers.delete(worker);
+    this._idle = this._idle.filter((idle) => idle !== worker);
+  }
+
+  _drain() {
+    while (this._queue.length > 0) {
+      let worker = this._idle.pop();
+      if (!worker) {
+        if (this._workers.size >= this._size) return;
+        worker = this._spawn();
+      }
+      this._dispatch(worker, this._queue.shift());
+    }
+  }
+
+  _dispatch(worker, job) {
+    this._running.set(worker, job);
+
+    worker.onmessage = (e) => {
+      if ("progress" in e.data) {
+        job.onProgress?.(e.data.progress);
+        return;
+      }
+
+      this._running.delete(worker);
+      this._release(worker);
+      job.resolve(e.data);
+    };
+
+    // An uncaught error may leave the worker in a bad state, so replace it
+    worker.onerror = (err) => {
+      this._running.delete(worker);
+      this._discard(worker);
+      job.reject(err);
+      this._drain();
+    };
+
+    worker.postMessage(job.message, job.transfer);
+  }
+
+  _release(worker) {
+    if (this._workers.size > this._size) {
+      this._discard(worker);
+    } else {
+      this._idle.push(worker);
+    }
+    this._drain();
+  }
+}